@@ -55,6 +55,42 @@ async function time(name, run) {
   return { duration, name, value }
 }
 
+// Splits update time into finding the components to notify and running
+// their renders and DOM patches, so the two costs can be compared on their own.
+function createPhases(cortex) {
+  const phases = { notifyCalls: 0, notifyMs: 0, patchMs: 0 }
+  const notify = cortex._notifyRelevantListeners.bind(cortex)
+
+  cortex._notifyRelevantListeners = (changedPaths) => {
+    const start = performance.now()
+    notify(changedPaths)
+    phases.notifyMs += performance.now() - start
+    phases.notifyCalls += 1
+  }
+
+  return phases
+}
+
+function resetPhases(phases) {
+  phases.notifyCalls = 0
+  phases.notifyMs = 0
+  phases.patchMs = 0
+}
+
+function formatPhases(phases) {
+  return {
+    notifyCalls: phases.notifyCalls,
+    notifyMs: Number(phases.notifyMs.toFixed(3)),
+    patchMs: Number(phases.patchMs.toFixed(3)),
+  }
+}
+
+async function flushRenders(phases) {
+  const start = performance.now()
+  await flushUpdates()
+  phases.patchMs += performance.now() - start
+}
+
 function createScenario(rowCount) {
   document.body.innerHTML = ''
   const target = document.createElement('div')
@@ -63,8 +99,30 @@ function createScenario(rowCount) {
   const counters = createRenderCounters()
   const cortex = createLargeAppCortex({ rowCount })
   const { App } = createLargeAppComponents(cortex, counters)
+  const phases = createPhases(cortex)
 
-  return { App, counters, cortex, target }
+  return { App, counters, cortex, phases, target }
+}
+
+// Mounting happens before the timer starts so the result isolates the keyed
+// diff and DOM moves caused by reordering an already rendered list.
+async function timeListOperation(name, rowCount, operate) {
+  const scenario = createScenario(rowCount)
+  mount(scenario.target, scenario.App)
+  await flushUpdates()
+  resetPhases(scenario.phases)
+
+  return time(name, async () => {
+    operate(scenario.cortex.synapses)
+    await flushRenders(scenario.phases)
+
+    const rows = scenario.target.querySelectorAll('[data-row-id]')
+    return {
+      firstRowId: rows[0]?.getAttribute('data-row-id'),
+      phases: formatPhases(scenario.phases),
+      rows: rows.length,
+    }
+  })
 }
 
 async function runBenchmark({ mixedUpdates, notificationUpdates, rowCount }) {
@@ -87,13 +145,15 @@ async function runBenchmark({ mixedUpdates, notificationUpdates, rowCount }) {
   const notifications = await time('notificationUpdates', async () => {
     const scenario = createScenario(rowCount)
     mount(scenario.target, scenario.App)
+    resetPhases(scenario.phases)
 
     for (let index = 0; index < notificationUpdates; index++) {
       scenario.cortex.synapses.incrementNotifications()
     }
-    await flushUpdates()
+    await flushRenders(scenario.phases)
 
     return {
+      phases: formatPhases(scenario.phases),
       renders: scenario.counters,
       text: scenario.target.querySelector('[data-testid="large-sidebar"]')
         .textContent,
@@ -105,6 +165,7 @@ async function runBenchmark({ mixedUpdates, notificationUpdates, rowCount }) {
   const mixed = await time('mixedUpdates', async () => {
     const scenario = createScenario(rowCount)
     mount(scenario.target, scenario.App)
+    resetPhases(scenario.phases)
 
     for (let index = 1; index <= mixedUpdates; index++) {
       scenario.cortex.synapses.toggleRow(index)
@@ -115,15 +176,26 @@ async function runBenchmark({ mixedUpdates, notificationUpdates, rowCount }) {
     scenario.cortex.synapses.setFilter(
       `Project task ${Math.floor(rowCount / 2)}`,
     )
-    await flushUpdates()
+    await flushRenders(scenario.phases)
 
     return {
+      phases: formatPhases(scenario.phases),
       renders: scenario.counters,
       rows: scenario.target.querySelectorAll('[data-row-id]').length,
       text: scenario.target.textContent,
     }
   })
 
+  const swap = await timeListOperation('swapRows', rowCount, (synapses) =>
+    synapses.swapRows(1, rowCount - 2),
+  )
+  const reverse = await timeListOperation('reverseRows', rowCount, (synapses) =>
+    synapses.reverseRows(),
+  )
+  const prepend = await timeListOperation('prependRows', rowCount, (synapses) =>
+    synapses.prependRows(10),
+  )
+
   return {
     benchmark: 'humn-large-app',
     node: process.version,
@@ -132,11 +204,13 @@ async function runBenchmark({ mixedUpdates, notificationUpdates, rowCount }) {
       notificationUpdates,
       rowCount,
     },
-    results: [initial, notifications, mixed].map((result) => ({
-      durationMs: Number(result.duration.toFixed(3)),
-      name: result.name,
-      value: result.value,
-    })),
+    results: [initial, notifications, mixed, swap, reverse, prepend].map(
+      (result) => ({
+        durationMs: Number(result.duration.toFixed(3)),
+        name: result.name,
+        value: result.value,
+      }),
+    ),
     timestamp: new Date().toISOString(),
   }
 }
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+
+import { Cortex, h, inject, mount, provide, renderToString } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+const CounterKey = Symbol('counter')
+
+function createCounter() {
+  return new Cortex({
+    memory: { count: 0 },
+    synapses: (set) => ({
+      increment: () => set((state) => ({ count: state.count + 1 })),
+    }),
+  })
+}
+
+const CounterLabel = () =>
+  h('output', {}, String(inject(CounterKey).memory.count))
+
+const CounterWidget = ({ counter }) => {
+  provide(CounterKey, counter)
+  return h('section', {}, [h('div', {}, h(CounterLabel))])
+}
+
+describe('provide / inject', () => {
+  it('should give independent widget instances their own cortex', async () => {
+    const first = createCounter()
+    const second = createCounter()
+    const App = () =>
+      h('main', {}, [
+        h(CounterWidget, { counter: first }),
+        h(CounterWidget, { counter: second }),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    second.synapses.increment()
+    await flushUpdates()
+
+    const outputs = target.querySelectorAll('output')
+    expect(outputs[0].textContent).toBe('0')
+    expect(outputs[1].textContent).toBe('1')
+  })
+
+  it('should let the nearest provider win', () => {
+    const Theme = () => h('span', {}, inject('theme'))
+    const DarkPanel = () => {
+      provide('theme', 'dark')
+      return h(Theme)
+    }
+    const App = () => {
+      provide('theme', 'light')
+      return h('div', {}, [h(Theme), h(DarkPanel)])
+    }
+    const target = document.createElement('div')
+
+    mount(target, App)
+
+    expect(target.textContent).toBe('lightdark')
+  })
+
+  it('should return the default value without a provider', () => {
+    const Theme = () => h('span', {}, inject('theme', 'system'))
+    const target = document.createElement('div')
+
+    mount(target, Theme)
+
+    expect(target.textContent).toBe('system')
+  })
+
+  it('should reach components created by later updates', async () => {
+    const toggle = new Cortex({
+      memory: { open: false },
+      synapses: (set) => ({ open: () => set({ open: true }) }),
+    })
+    const Details = () => h('p', {}, inject('locale'))
+    const App = () => {
+      provide('locale', 'en-GB')
+      return h('div', {}, toggle.memory.open ? h(Details) : null)
+    }
+    const target = document.createElement('div')
+
+    mount(target, App)
+    toggle.synapses.open()
+    await flushUpdates()
+
+    expect(target.textContent).toBe('en-GB')
+  })
+
+  it('should provide values during server rendering', () => {
+    const counter = createCounter()
+    const App = () => h(CounterWidget, { counter })
+
+    expect(renderToString(App).html).toBe(
+      '<section><div><output>0</output></div></section>',
+    )
+  })
+})
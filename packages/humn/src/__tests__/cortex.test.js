@@ -1,6 +1,6 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 
-import { Cortex, persist } from '../index'
+import { Cortex, h, mount, persist, undoable } from '../index'
 
 describe('Cortex (State Management)', () => {
   // Clear storage before each test to ensure isolation
@@ -155,4 +155,668 @@ describe('Cortex (State Management)', () => {
 
     expect(spy).not.toHaveBeenCalled()
   })
+
+  describe('snapshot & restore', () => {
+    it('should restore memory from a snapshot', () => {
+      const cortex = new Cortex({
+        memory: { count: 0, user: { name: 'Keeghan' } },
+        synapses: (set) => ({
+          rename: (name) =>
+            set((state) => {
+              state.user.name = name
+            }),
+        }),
+      })
+
+      const snapshot = cortex.snapshot()
+      cortex.synapses.rename('McGarry')
+      cortex.restore(snapshot)
+
+      expect(cortex.memory.user.name).toBe('Keeghan')
+    })
+
+    it('should only notify listeners whose paths differ', async () => {
+      const renders = { count: 0, name: 0 }
+      const cortex = new Cortex({
+        memory: { count: 0, user: { name: 'Keeghan' } },
+        synapses: () => ({}),
+      })
+      const Count = () => {
+        renders.count++
+        return h('span', {}, String(cortex.memory.count))
+      }
+      const Name = () => {
+        renders.name++
+        return h('span', {}, cortex.memory.user.name)
+      }
+      const target = document.createElement('div')
+      mount(target, () => h('div', {}, [h(Count), h(Name)]))
+
+      cortex.restore({ count: 0, user: { name: 'McGarry' } })
+      await Promise.resolve()
+
+      expect(renders).toEqual({ count: 1, name: 2 })
+      expect(target.textContent).toBe('0McGarry')
+    })
+
+    it('should keep the stored value of persisted keys', () => {
+      localStorage.setItem('theme', '"dark"')
+      const cortex = new Cortex({
+        memory: { theme: persist('light') },
+        synapses: () => ({}),
+      })
+
+      cortex.restore({ theme: 'light' })
+
+      expect(cortex.memory.theme).toBe('dark')
+      expect(localStorage.getItem('theme')).toBe('"dark"')
+    })
+  })
+
+  describe('computed', () => {
+    function createTodos() {
+      const getter = vi.fn((memory) =>
+        memory.todos.filter((todo) => !todo.done),
+      )
+      const cortex = new Cortex({
+        memory: {
+          filter: 'all',
+          todos: [
+            { done: false, title: 'Write docs' },
+            { done: true, title: 'Ship' },
+          ],
+        },
+        synapses: (set) => ({
+          setFilter: (filter) => set({ filter }),
+          toggle: (index) =>
+            set((state) => {
+              state.todos[index].done = !state.todos[index].done
+            }),
+        }),
+        computed: {
+          remaining: getter,
+          remainingCount: (_memory, computed) => computed.remaining.length,
+        },
+      })
+
+      return { cortex, getter }
+    }
+
+    it('should cache values until a dependency changes', () => {
+      const { cortex, getter } = createTodos()
+
+      expect(cortex.computed.remaining).toHaveLength(1)
+      expect(cortex.computed.remaining).toBe(cortex.computed.remaining)
+      expect(getter).toHaveBeenCalledTimes(1)
+
+      cortex.synapses.setFilter('done')
+      cortex.computed.remaining
+      expect(getter).toHaveBeenCalledTimes(1)
+
+      cortex.synapses.toggle(1)
+      expect(cortex.computed.remaining).toHaveLength(2)
+      expect(getter).toHaveBeenCalledTimes(2)
+    })
+
+    it('should recompute values that depend on other computed values', () => {
+      const { cortex } = createTodos()
+
+      expect(cortex.computed.remainingCount).toBe(1)
+      cortex.synapses.toggle(0)
+      expect(cortex.computed.remainingCount).toBe(0)
+    })
+
+    it('should re-render components only when a computed value they read changes', async () => {
+      const { cortex } = createTodos()
+      const render = vi.fn(() =>
+        h('span', {}, String(cortex.computed.remainingCount)),
+      )
+      const target = document.createElement('div')
+      mount(target, render)
+
+      cortex.synapses.setFilter('done')
+      await Promise.resolve()
+      expect(render).toHaveBeenCalledTimes(1)
+
+      cortex.synapses.toggle(1)
+      await Promise.resolve()
+      expect(render).toHaveBeenCalledTimes(2)
+      expect(target.textContent).toBe('2')
+    })
+
+    it('should reject names that shadow memory keys', () => {
+      expect(
+        () =>
+          new Cortex({
+            memory: { count: 0 },
+            synapses: () => ({}),
+            computed: { count: (memory) => memory.count },
+          }),
+      ).toThrow("Computed value 'count' has the same name as a memory key")
+    })
+
+    it('should reject values that depend on themselves', () => {
+      const cortex = new Cortex({
+        memory: {},
+        synapses: () => ({}),
+        computed: { loop: (_memory, computed) => computed.loop },
+      })
+
+      expect(() => cortex.computed.loop).toThrow('depends on itself')
+    })
+  })
+
+  describe('subscribe', () => {
+    function createSession() {
+      return new Cortex({
+        memory: { page: 1, user: { name: 'Keeghan', visits: 0 } },
+        synapses: (set) => ({
+          nextPage: () => set((state) => ({ page: state.page + 1 })),
+          visit: () =>
+            set((state) => {
+              state.user.visits++
+            }),
+          rename: (name) =>
+            set((state) => {
+              state.user.name = name
+            }),
+        }),
+        computed: {
+          greeting: (memory) => `Hello ${memory.user.name}`,
+        },
+      })
+    }
+
+    it('should call back with the next and previous selection', async () => {
+      const cortex = createSession()
+      const callback = vi.fn()
+      cortex.subscribe((memory) => memory.page, callback)
+
+      cortex.synapses.nextPage()
+      cortex.synapses.nextPage()
+      await Promise.resolve()
+
+      expect(callback).toHaveBeenCalledTimes(1)
+      expect(callback).toHaveBeenCalledWith(3, 1)
+    })
+
+    it('should ignore changes outside the selected slice', async () => {
+      const cortex = createSession()
+      const callback = vi.fn()
+      cortex.subscribe((memory) => memory.user.name, callback)
+
+      cortex.synapses.visit()
+      await Promise.resolve()
+      expect(callback).not.toHaveBeenCalled()
+
+      cortex.synapses.rename('McGarry')
+      await Promise.resolve()
+      expect(callback).toHaveBeenCalledWith('McGarry', 'Keeghan')
+    })
+
+    it('should select plain memory and computed values', async () => {
+      const cortex = createSession()
+      const callback = vi.fn()
+      const userBefore = cortex.memory.user
+      cortex.subscribe(
+        (memory, computed) => [memory.user, computed.greeting],
+        callback,
+      )
+
+      cortex.synapses.rename('McGarry')
+      await Promise.resolve()
+
+      const [user, greeting] = callback.mock.calls[0][0]
+      expect(callback.mock.calls[0][1][0]).toBe(userBefore)
+      expect(user).toBe(cortex.memory.user)
+      expect(greeting).toBe('Hello McGarry')
+    })
+
+    it('should use the equals option to skip callbacks', async () => {
+      const cortex = createSession()
+      const callback = vi.fn()
+      cortex.subscribe((memory) => ({ name: memory.user.name }), callback, {
+        equals: (next, prev) => next.name === prev.name,
+      })
+
+      cortex.synapses.rename('Keeghan')
+      await Promise.resolve()
+
+      expect(callback).not.toHaveBeenCalled()
+    })
+
+    it('should stop calling back after unsubscribing', async () => {
+      const cortex = createSession()
+      const callback = vi.fn()
+      const unsubscribe = cortex.subscribe((memory) => memory.page, callback)
+
+      cortex.synapses.nextPage()
+      unsubscribe()
+      await Promise.resolve()
+      cortex.synapses.nextPage()
+      await Promise.resolve()
+
+      expect(callback).not.toHaveBeenCalled()
+    })
+
+    it('should report subscriber errors without blocking renders', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const cortex = createSession()
+      const error = new Error('Subscriber failed')
+      cortex.subscribe(
+        (memory) => memory.page,
+        () => {
+          throw error
+        },
+      )
+      const target = document.createElement('div')
+      mount(target, () => h('p', {}, `page=${cortex.memory.page}`))
+
+      cortex.synapses.nextPage()
+      await Promise.resolve()
+
+      expect(target.textContent).toBe('page=2')
+      expect(errorSpy).toHaveBeenCalledWith(
+        'Humn: Error in a Cortex subscriber.',
+        error,
+      )
+    })
+  })
+
+  describe('middleware', () => {
+    function createCounter(middleware) {
+      return new Cortex({
+        memory: { count: 0, label: 'Count' },
+        synapses: (set) => ({
+          increment: () =>
+            set((state) => {
+              state.count++
+            }),
+          setCount: (count) => set({ count }),
+        }),
+        middleware,
+      })
+    }
+
+    it('should describe each update to middleware', () => {
+      const log = vi.fn((_update, next) => next())
+      const cortex = createCounter([log])
+
+      cortex.synapses.increment()
+
+      const [update] = log.mock.calls[0]
+      expect(update.synapse).toBe('increment')
+      expect(typeof update.updater).toBe('function')
+      expect(update.prevState.count).toBe(0)
+      expect(update.nextState.count).toBe(1)
+      expect(update.changedPaths).toEqual(new Set(['count']))
+      expect(cortex.memory.count).toBe(1)
+    })
+
+    it('should veto updates that do not call next', async () => {
+      const cortex = createCounter([
+        (update, next) => {
+          if (update.nextState.count >= 0) next()
+        },
+      ])
+      const render = vi.fn(() => h('span', {}, String(cortex.memory.count)))
+      mount(document.createElement('div'), render)
+
+      cortex.synapses.setCount(-1)
+      await Promise.resolve()
+
+      expect(cortex.memory.count).toBe(0)
+      expect(render).toHaveBeenCalledTimes(1)
+    })
+
+    it('should commit the state passed to next', () => {
+      const cortex = createCounter([
+        (update, next) =>
+          next({
+            ...update.nextState,
+            count: Math.min(update.nextState.count, 10),
+          }),
+      ])
+      const callback = vi.fn()
+      cortex.subscribe((memory) => memory.label, callback)
+
+      cortex.synapses.setCount(50)
+
+      expect(cortex.memory.count).toBe(10)
+      expect(callback).not.toHaveBeenCalled()
+    })
+
+    it('should run middleware in order', () => {
+      const calls = []
+      const cortex = createCounter([
+        (_update, next) => {
+          calls.push('first')
+          next()
+        },
+        (_update, next) => {
+          calls.push('second')
+          next()
+        },
+      ])
+
+      cortex.synapses.increment()
+
+      expect(calls).toEqual(['first', 'second'])
+    })
+
+    it('should let middleware replay updates later', () => {
+      const queued = []
+      let isOnline = false
+      const cortex = createCounter([
+        (update, next) => {
+          if (isOnline) next()
+          else queued.push(update)
+        },
+      ])
+
+      cortex.synapses.increment()
+      cortex.synapses.increment()
+      expect(cortex.memory.count).toBe(0)
+
+      isOnline = true
+      queued.forEach((update) => update.set(update.updater))
+
+      expect(cortex.memory.count).toBe(2)
+    })
+  })
+
+  describe('history', () => {
+    function createEditor(config) {
+      return new Cortex({
+        memory: {
+          doc: undoable({ title: 'Draft', tags: [] }, config),
+          selection: null,
+        },
+        synapses: (set) => ({
+          rename: (title) =>
+            set((state) => {
+              state.doc.title = title
+            }),
+          tag: (tag) =>
+            set((state) => {
+              state.doc.tags.push(tag)
+            }),
+          select: (selection) => set({ selection }),
+        }),
+      })
+    }
+
+    it('should undo and redo changes to undoable keys', () => {
+      const cortex = createEditor()
+      const original = cortex.memory.doc
+
+      cortex.synapses.rename('Final')
+      cortex.history.undo()
+      expect(cortex.memory.doc).toBe(original)
+
+      cortex.history.redo()
+      expect(cortex.memory.doc.title).toBe('Final')
+    })
+
+    it('should not record changes to other keys', () => {
+      const cortex = createEditor()
+
+      cortex.synapses.select('title')
+
+      expect(cortex.history.canUndo).toBe(false)
+    })
+
+    it('should drop redo steps after a new change', () => {
+      const cortex = createEditor()
+
+      cortex.synapses.rename('One')
+      cortex.history.undo()
+      cortex.synapses.rename('Two')
+
+      expect(cortex.history.canRedo).toBe(false)
+    })
+
+    it('should keep at most `limit` undo steps', () => {
+      const cortex = createEditor({ limit: 2 })
+
+      cortex.synapses.rename('One')
+      cortex.synapses.rename('Two')
+      cortex.synapses.rename('Three')
+      cortex.history.undo()
+      cortex.history.undo()
+      cortex.history.undo()
+
+      expect(cortex.memory.doc.title).toBe('One')
+    })
+
+    it('should record grouped changes as one step', () => {
+      const cortex = createEditor()
+
+      cortex.history.group(() => {
+        cortex.synapses.rename('Final')
+        cortex.synapses.tag('news')
+      })
+      cortex.history.undo()
+
+      expect(cortex.memory.doc).toEqual({ title: 'Draft', tags: [] })
+      expect(cortex.history.canUndo).toBe(false)
+    })
+
+    it('should re-render readers of canUndo when it changes', async () => {
+      const cortex = createEditor()
+      const render = vi.fn(() =>
+        h('button', { disabled: !cortex.history.canUndo }, 'Undo'),
+      )
+      const target = document.createElement('div')
+      mount(target, render)
+
+      cortex.synapses.rename('One')
+      await Promise.resolve()
+      cortex.synapses.rename('Two')
+      await Promise.resolve()
+
+      expect(render).toHaveBeenCalledTimes(2)
+      expect(target.querySelector('button').disabled).toBe(false)
+
+      cortex.history.clear()
+      await Promise.resolve()
+      expect(target.querySelector('button').disabled).toBe(true)
+    })
+
+    it('should persist undoable values that are also persisted', () => {
+      const cortex = new Cortex({
+        memory: { theme: undoable(persist('light')) },
+        synapses: (set) => ({ setTheme: (theme) => set({ theme }) }),
+      })
+
+      cortex.synapses.setTheme('dark')
+      cortex.history.undo()
+
+      expect(cortex.memory.theme).toBe('light')
+      expect(localStorage.getItem('theme')).toBe('"light"')
+    })
+  })
+
+  describe('batch', () => {
+    function createCart() {
+      return new Cortex({
+        memory: { items: persist([]), total: 0, updatedAt: null },
+        synapses: (set, get) => ({
+          add: (item) => {
+            set({ items: [...get().items, item] })
+            set({ total: get().total + item.price })
+            set({ updatedAt: 1 })
+          },
+          addInvalid: (item) => {
+            set({ items: [...get().items, item] })
+            throw new Error('Invalid item')
+          },
+          addLater: async (item) => {
+            set({ items: [...get().items, item] })
+            set({ total: get().total + item.price })
+            await Promise.resolve()
+            set({ updatedAt: 2 })
+          },
+        }),
+      })
+    }
+
+    it('should persist and notify once for a synapse that sets several times', async () => {
+      const cortex = createCart()
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+      const log = vi.fn()
+      cortex.subscribe((memory) => [memory.items.length, memory.total], log, {
+        equals: (next, prev) => next[0] === prev[0] && next[1] === prev[1],
+      })
+
+      cortex.synapses.add({ price: 5 })
+      await Promise.resolve()
+
+      expect(setItem).toHaveBeenCalledTimes(1)
+      expect(log).toHaveBeenCalledTimes(1)
+      expect(log.mock.calls[0][0]).toEqual([1, 5])
+    })
+
+    it('should merge writes made inside cortex.batch', () => {
+      const cortex = createCart()
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+
+      cortex.batch(() => {
+        cortex.synapses.add({ price: 5 })
+        cortex.synapses.add({ price: 3 })
+        expect(cortex.memory.total).toBe(8)
+      })
+
+      expect(setItem).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(localStorage.getItem('items'))).toHaveLength(2)
+    })
+
+    it('should roll back memory when the batch throws', async () => {
+      const cortex = createCart()
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+      const render = vi.fn(() =>
+        h('span', {}, String(cortex.memory.items.length)),
+      )
+      mount(document.createElement('div'), render)
+
+      expect(() => cortex.synapses.addInvalid({ price: 1 })).toThrow(
+        'Invalid item',
+      )
+      await Promise.resolve()
+
+      expect(cortex.memory.items).toEqual([])
+      expect(setItem).not.toHaveBeenCalled()
+      expect(render).toHaveBeenCalledTimes(1)
+    })
+
+    it('should batch async synapses until their first await', async () => {
+      const cortex = createCart()
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+      const paths = vi.spyOn(cortex, '_notifyRelevantListeners')
+
+      await cortex.synapses.addLater({ price: 5 })
+
+      expect(setItem).toHaveBeenCalledTimes(1)
+      expect(paths).toHaveBeenCalledTimes(2)
+      expect(paths.mock.calls[0][0]).toEqual(new Set(['items', 'total']))
+    })
+
+    it('should record a batch as one undo step', () => {
+      const cortex = new Cortex({
+        memory: { text: undoable('') },
+        synapses: (set) => ({ type: (text) => set({ text }) }),
+      })
+
+      cortex.batch(() => {
+        cortex.synapses.type('a')
+        cortex.synapses.type('ab')
+      })
+      cortex.history.undo()
+
+      expect(cortex.memory.text).toBe('')
+    })
+  })
+
+  describe('reset & dispose', () => {
+    function createSession() {
+      return new Cortex({
+        memory: {
+          query: '',
+          page: 1,
+          theme: persist('light'),
+        },
+        synapses: (set) => ({
+          search: (query) => set({ page: 3, query }),
+        }),
+      })
+    }
+
+    it('should reset every key to its constructor value', () => {
+      localStorage.setItem('theme', '"dark"')
+      const cortex = createSession()
+      cortex.synapses.search('news')
+
+      cortex.reset()
+
+      expect(cortex.memory).toEqual({ page: 1, query: '', theme: 'light' })
+      expect(localStorage.getItem('theme')).toBe('"light"')
+    })
+
+    it('should reset only the given keys', async () => {
+      const cortex = createSession()
+      const render = vi.fn(() => h('p', {}, cortex.memory.page))
+      mount(document.createElement('div'), render)
+      cortex.synapses.search('news')
+      await Promise.resolve()
+
+      cortex.reset(['page'])
+      await Promise.resolve()
+
+      expect(cortex.memory.page).toBe(1)
+      expect(cortex.memory.query).toBe('news')
+      expect(render).toHaveBeenCalledTimes(3)
+    })
+
+    it('should reject unknown keys', () => {
+      const cortex = createSession()
+
+      expect(() => cortex.reset(['missing'])).toThrow(
+        "Cannot reset unknown memory key 'missing'",
+      )
+    })
+
+    it('should detach components and subscriptions on dispose', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const cortex = createSession()
+      const render = vi.fn(() => h('p', {}, cortex.memory.query))
+      const callback = vi.fn()
+      mount(document.createElement('div'), render)
+      cortex.subscribe((memory) => memory.query, callback)
+
+      cortex.dispose()
+      cortex.synapses.search('news')
+      await Promise.resolve()
+
+      expect(cortex.memory.query).toBe('')
+      expect(render).toHaveBeenCalledTimes(1)
+      expect(callback).not.toHaveBeenCalled()
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Humn: Cannot update a disposed Cortex.',
+      )
+    })
+
+    it('should write pending saves on dispose', () => {
+      vi.useFakeTimers()
+      const cortex = new Cortex({
+        memory: { draft: persist('', { debounce: 1000 }) },
+        synapses: (set) => ({ write: (draft) => set({ draft }) }),
+      })
+
+      cortex.synapses.write('Saved')
+      cortex.dispose()
+      vi.useRealTimers()
+
+      expect(localStorage.getItem('draft')).toBe('"Saved"')
+    })
+  })
 })
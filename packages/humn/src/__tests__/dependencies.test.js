@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+
+import { createDependencyIndex } from '../dependencies.js'
+
+function register(index, listener, paths) {
+  const tracker = index.track(listener)
+  paths.forEach((path) => tracker.add(path))
+}
+
+describe('dependency index', () => {
+  it('should match listeners of the changed path, its parents and children', () => {
+    const index = createDependencyIndex()
+    const list = () => {}
+    const row = () => {}
+    const title = () => {}
+    const sidebar = () => {}
+    register(index, list, ['rows'])
+    register(index, row, ['rows.3'])
+    register(index, title, ['rows.3.title'])
+    register(index, sidebar, ['stats.notifications'])
+
+    expect(index.match(['rows.3'])).toEqual([list, row, title])
+    expect(index.match(['rows.4.title'])).toEqual([list])
+    expect(index.match(['stats'])).toEqual([sidebar])
+  })
+
+  it('should not treat a shared prefix as a parent path', () => {
+    const index = createDependencyIndex()
+    const listener = () => {}
+    register(index, listener, ['user.name'])
+
+    expect(index.match(['user.nameHistory'])).toEqual([])
+    expect(index.match(['use'])).toEqual([])
+  })
+
+  it('should return listeners in the order they were registered', () => {
+    const index = createDependencyIndex()
+    const first = () => {}
+    const second = () => {}
+    register(index, first, ['filter.text'])
+    register(index, second, ['filter'])
+
+    expect(index.match(['filter.text'])).toEqual([first, second])
+  })
+
+  it('should replace and remove the paths of a listener', () => {
+    const index = createDependencyIndex()
+    const listener = () => {}
+    register(index, listener, ['count'])
+
+    index.set(listener, ['total'])
+    expect(index.match(['count'])).toEqual([])
+    expect(index.match(['total'])).toEqual([listener])
+
+    index.delete(listener)
+    expect(index.size).toBe(0)
+    expect(index.match(['total'])).toEqual([])
+  })
+})
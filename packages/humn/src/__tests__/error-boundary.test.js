@@ -0,0 +1,192 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import { Cortex, ErrorBoundary, h, mount, onError, onMount } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createSwitch() {
+  return new Cortex({
+    memory: { broken: false },
+    synapses: (set) => ({
+      breakIt: () => set({ broken: true }),
+      fixIt: () => set({ broken: false }),
+    }),
+  })
+}
+
+describe('Error boundaries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should render the fallback when a child throws while rendering', async () => {
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const App = () =>
+      h('main', {}, [
+        h(ErrorBoundary, { fallback: h('p', {}, 'Widget unavailable') }, [
+          h(Broken),
+        ]),
+        h('footer', {}, 'Still here'),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    await flushUpdates()
+
+    expect(target.textContent).toBe('Widget unavailableStill here')
+    expect(target.querySelector('footer')).not.toBeNull()
+  })
+
+  it('should catch errors from re-renders triggered by a cortex', async () => {
+    const state = createSwitch()
+    const Widget = () => {
+      if (state.memory.broken) throw new Error('Bad state')
+      return h('span', {}, 'ok')
+    }
+    const App = () =>
+      h(ErrorBoundary, { fallback: (error) => h('p', {}, error.message) }, [
+        h(Widget),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    state.synapses.breakIt()
+    await flushUpdates()
+    await flushUpdates()
+
+    expect(target.textContent).toBe('Bad state')
+  })
+
+  it('should use the fallback from the latest render', async () => {
+    const state = new Cortex({
+      memory: { broken: false, label: 'first' },
+      synapses: (set) => ({
+        breakIt: () => set({ broken: true }),
+        relabel: (label) => set({ label }),
+      }),
+    })
+    const Widget = () => {
+      if (state.memory.broken) throw new Error('Bad state')
+      return h('span', {}, 'ok')
+    }
+    const App = () =>
+      h(
+        ErrorBoundary,
+        { fallback: h('p', {}, `fallback ${state.memory.label}`) },
+        [h(Widget)],
+      )
+    const target = document.createElement('div')
+
+    mount(target, App)
+    state.synapses.relabel('second')
+    await flushUpdates()
+    state.synapses.breakIt()
+    await flushUpdates()
+    await flushUpdates()
+
+    expect(target.textContent).toBe('fallback second')
+  })
+
+  it('should catch errors thrown by lifecycle hooks', async () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const Widget = () => {
+      onMount(() => {
+        throw new Error('Mount failed')
+      })
+      return h('span', {}, 'ok')
+    }
+    const App = () =>
+      h(ErrorBoundary, { fallback: h('p', {}, 'fallback') }, [h(Widget)])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    await flushUpdates()
+
+    expect(target.textContent).toBe('fallback')
+    expect(consoleSpy).not.toHaveBeenCalled()
+  })
+
+  it('should render the children again after reset()', async () => {
+    const state = createSwitch()
+    let resetBoundary
+    const Widget = () => {
+      if (state.memory.broken) throw new Error('Bad state')
+      return h('span', {}, 'ok')
+    }
+    const App = () =>
+      h(
+        ErrorBoundary,
+        {
+          fallback: (_error, reset) => {
+            resetBoundary = reset
+            return h('p', {}, 'fallback')
+          },
+        },
+        [h(Widget)],
+      )
+    const target = document.createElement('div')
+
+    mount(target, App)
+    state.synapses.breakIt()
+    await flushUpdates()
+    await flushUpdates()
+    expect(target.textContent).toBe('fallback')
+
+    state.synapses.fixIt()
+    resetBoundary()
+
+    expect(target.textContent).toBe('ok')
+  })
+
+  it('should pass errors thrown by a fallback to the next boundary', async () => {
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const App = () =>
+      h(ErrorBoundary, { fallback: h('p', {}, 'outer') }, [
+        h(ErrorBoundary, { fallback: h(Broken) }, [h(Broken)]),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    await flushUpdates()
+    await flushUpdates()
+
+    expect(target.textContent).toBe('outer')
+  })
+
+  it('should let any component become a boundary with onError', async () => {
+    const errors = []
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const Panel = (_props, children) => {
+      onError((error) => {
+        errors.push(error.message)
+        return 'Panel failed'
+      })
+      return h('section', {}, children)
+    }
+    const target = document.createElement('div')
+
+    mount(target, () => h(Panel, {}, [h(Broken)]))
+    await flushUpdates()
+
+    expect(errors).toEqual(['Widget failed'])
+    expect(target.innerHTML).toBe('Panel failed')
+  })
+
+  it('should rethrow render errors without a boundary', () => {
+    const Broken = () => {
+      throw new Error('Unhandled')
+    }
+    const target = document.createElement('div')
+
+    expect(() => mount(target, Broken)).toThrow('Unhandled')
+  })
+})
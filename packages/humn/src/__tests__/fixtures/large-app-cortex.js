@@ -21,18 +21,34 @@ export function createLargeAppCortex({ rowCount = 1000 } = {}) {
         saves: 0,
       },
     },
-    synapses: (set) => ({
+    synapses: (set, get) => ({
       clearFilter: () => set({ filter: '' }),
       incrementNotifications: () =>
         set((state) => {
           state.stats.notifications += 1
         }),
+      prependRows: (count) => {
+        const firstId = Math.min(...get().rows.map((row) => row.id))
+        const newRows = createRows(count).map((row, index) => ({
+          ...row,
+          id: firstId - count + index,
+          label: `New task ${index + 1}`,
+        }))
+        set({ rows: [...newRows, ...get().rows] })
+      },
       recordSave: () =>
         set((state) => {
           state.stats.saves += 1
         }),
+      reverseRows: () => set({ rows: [...get().rows].reverse() }),
       setActive: (id) => set({ activeId: id }),
       setFilter: (filter) => set({ filter }),
+      swapRows: (firstIndex, secondIndex) => {
+        const rows = [...get().rows]
+        rows[firstIndex] = get().rows[secondIndex]
+        rows[secondIndex] = get().rows[firstIndex]
+        set({ rows })
+      },
       toggleRow: (id) =>
         set((state) => {
           const row = state.rows.find((candidate) => candidate.id === id)
@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest'
+
+import { Cortex, Fragment, h, mount, onCleanup, useMemory } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+// Fragments leave a comment anchor in front of their children.
+function getMarkup(target) {
+  return target.innerHTML.replace(/<!--\[-->/g, '')
+}
+
+function createListCortex(items) {
+  return new Cortex({
+    memory: { items },
+    synapses: (set) => ({
+      setItems: (nextItems) =>
+        set((state) => {
+          state.items = nextItems
+        }),
+    }),
+  })
+}
+
+describe('Fragment', () => {
+  it('should render multiple root nodes without a wrapper element', () => {
+    const App = () =>
+      h(Fragment, {}, [h('h1', {}, 'Title'), h('p', {}, 'Body')])
+    const target = document.createElement('div')
+
+    mount(target, App)
+
+    expect(getMarkup(target)).toBe('<h1>Title</h1><p>Body</p>')
+  })
+
+  it('should keep siblings after a fragment in place when it grows', async () => {
+    const list = createListCortex(['a'])
+    const Items = () =>
+      h(
+        Fragment,
+        {},
+        list.memory.items.map((item) => h('li', {}, item)),
+      )
+    const App = () => h('ul', {}, [h(Items), h('li', {}, 'last')])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    list.synapses.setItems(['a', 'b', 'c'])
+    await flushUpdates()
+
+    expect(getMarkup(target)).toBe(
+      '<ul><li>a</li><li>b</li><li>c</li><li>last</li></ul>',
+    )
+
+    list.synapses.setItems([])
+    await flushUpdates()
+
+    expect(getMarkup(target)).toBe('<ul><li>last</li></ul>')
+  })
+
+  it('should move keyed fragments as a whole', async () => {
+    const list = createListCortex(['a', 'b'])
+    const App = () =>
+      h(
+        'dl',
+        {},
+        list.memory.items.map((item) =>
+          h(Fragment, { key: item }, [
+            h('dt', {}, item),
+            h('dd', {}, item.toUpperCase()),
+          ]),
+        ),
+      )
+    const target = document.createElement('div')
+
+    mount(target, App)
+    const firstTerm = target.querySelector('dt')
+
+    list.synapses.setItems(['b', 'a'])
+    await flushUpdates()
+
+    expect(getMarkup(target)).toBe(
+      '<dl><dt>b</dt><dd>B</dd><dt>a</dt><dd>A</dd></dl>',
+    )
+    expect(target.querySelectorAll('dt')[1]).toBe(firstTerm)
+  })
+
+  it('should remove every node of a fragment and clean up its components', async () => {
+    const cleanups = []
+    const Child = ({ name }) => {
+      onCleanup(() => cleanups.push(name))
+      return h('span', {}, name)
+    }
+    const toggle = new Cortex({
+      memory: { visible: true },
+      synapses: (set) => ({ hide: () => set({ visible: false }) }),
+    })
+    const App = () =>
+      h('div', {}, [
+        toggle.memory.visible
+          ? h(Fragment, {}, [h(Child, { name: 'a' }), h(Child, { name: 'b' })])
+          : h('p', {}, 'empty'),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    toggle.synapses.hide()
+    await flushUpdates()
+
+    expect(target.innerHTML).toBe('<div><p>empty</p></div>')
+    expect(cleanups).toEqual(['a', 'b'])
+  })
+
+  it('should let components inside a fragment update themselves', async () => {
+    const counter = new Cortex({
+      memory: { count: 0 },
+      synapses: (set) => ({
+        increment: () => set((state) => ({ count: state.count + 1 })),
+      }),
+    })
+    const Count = () => h('output', {}, String(counter.memory.count))
+    const App = () =>
+      h('section', {}, [
+        h(Fragment, {}, ['Count: ', h(Count)]),
+        h('button', {}, '+'),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    counter.synapses.increment()
+    await flushUpdates()
+
+    expect(getMarkup(target)).toBe(
+      '<section>Count: <output>1</output><button>+</button></section>',
+    )
+  })
+
+  it('should update a text component after an earlier sibling grows', async () => {
+    let list
+    let label
+    const List = () => {
+      list = useMemory({ isOpen: false })
+      return list.isOpen
+        ? h(Fragment, {}, [h('i', {}, '1'), h('i', {}, '2'), h('i', {}, '3')])
+        : h('i', {}, '0')
+    }
+    const Label = () => {
+      label = useMemory({ n: 0 })
+      return 'B' + label.n
+    }
+    const target = document.createElement('div')
+
+    mount(target, () => h('div', {}, [h(List), h(Label)]))
+    list.isOpen = true
+    await flushUpdates()
+    label.n = 1
+    await flushUpdates()
+
+    expect(getMarkup(target)).toBe('<div><i>1</i><i>2</i><i>3</i>B1</div>')
+  })
+
+  it('should replace a fragment root with a single element', async () => {
+    const mode = new Cortex({
+      memory: { split: true },
+      synapses: (set) => ({ merge: () => set({ split: false }) }),
+    })
+    const App = () =>
+      mode.memory.split
+        ? h(Fragment, {}, [h('p', {}, 'one'), h('p', {}, 'two')])
+        : h('p', {}, 'both')
+    const target = document.createElement('div')
+    target.appendChild(document.createElement('footer'))
+
+    mount(target, App)
+    mode.synapses.merge()
+    await flushUpdates()
+
+    expect(target.innerHTML).toBe('<footer></footer><p>both</p>')
+  })
+})
@@ -0,0 +1,243 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import {
+  Cortex,
+  css,
+  ErrorBoundary,
+  Fragment,
+  h,
+  hydrate,
+  onMount,
+  renderToString,
+} from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function renderOnServer(Component) {
+  const target = document.createElement('div')
+  target.innerHTML = renderToString(Component).html
+  return target
+}
+
+describe('hydrate', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should reuse server-rendered elements instead of duplicating them', () => {
+    const App = () => h('main', {}, [h('h1', {}, 'Title'), h('p', {}, 'Body')])
+    const target = renderOnServer(App)
+    const heading = target.querySelector('h1')
+
+    hydrate(target, App)
+
+    expect(target.innerHTML).toBe('<main><h1>Title</h1><p>Body</p></main>')
+    expect(target.querySelector('h1')).toBe(heading)
+  })
+
+  it('should attach event listeners to existing elements', () => {
+    const onClick = vi.fn()
+    const App = () => h('button', { onclick: onClick }, 'Save')
+    const target = renderOnServer(App)
+    const button = target.querySelector('button')
+
+    hydrate(target, App)
+    button.click()
+
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep adjacent text nodes separate so they can update', async () => {
+    const cortex = new Cortex({
+      memory: { name: 'Keeghan' },
+      synapses: (set) => ({ rename: (name) => set({ name }) }),
+    })
+    const App = () => h('p', {}, ['Hello ', cortex.memory.name, '!'])
+    const target = renderOnServer(App)
+
+    hydrate(target, App)
+    expect(target.firstChild.childNodes.length).toBe(3)
+
+    cortex.synapses.rename('McGarry')
+    await flushUpdates()
+
+    expect(target.innerHTML).toBe('<p>Hello McGarry!</p>')
+  })
+
+  it('should re-attach component instances to cortex updates', async () => {
+    const cortex = new Cortex({
+      memory: { count: 0 },
+      synapses: (set) => ({
+        increment: () => set((state) => ({ count: state.count + 1 })),
+      }),
+    })
+    const Counter = () => h('span', {}, String(cortex.memory.count))
+    const App = () => h('div', {}, [h(Counter)])
+    const target = renderOnServer(App)
+    const span = target.querySelector('span')
+
+    hydrate(target, App)
+    cortex.synapses.increment()
+    await flushUpdates()
+
+    expect(target.querySelector('span')).toBe(span)
+    expect(span.textContent).toBe('1')
+  })
+
+  it('should run onMount hooks after hydrating', async () => {
+    const mountSpy = vi.fn()
+    const App = () => {
+      onMount(mountSpy)
+      return h('div', {}, 'Ready')
+    }
+    const target = renderOnServer(App)
+
+    hydrate(target, App)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(mountSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should adopt fragment children and keep them reactive', async () => {
+    const list = new Cortex({
+      memory: { items: ['a', 'b'] },
+      synapses: (set) => ({
+        add: (item) => set({ items: [...list.memory.items, item] }),
+      }),
+    })
+    const Items = () =>
+      h(
+        Fragment,
+        {},
+        list.memory.items.map((item) => h('li', {}, item)),
+      )
+    const App = () => h('ul', {}, [h(Items), h('li', {}, 'last')])
+    const target = renderOnServer(App)
+    const firstItem = target.querySelector('li')
+
+    hydrate(target, App)
+    list.synapses.add('c')
+    await flushUpdates()
+
+    expect(target.querySelector('li')).toBe(firstItem)
+    expect(target.innerHTML).toBe(
+      '<ul><!--[--><li>a</li><li>b</li><li>c</li><li>last</li></ul>',
+    )
+  })
+
+  it('should warn about and repair mismatched markup', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const App = () => h('ul', {}, [h('li', {}, 'Client')])
+    const target = document.createElement('div')
+    target.innerHTML = '<ul><p>Server</p><li>Extra</li></ul>'
+
+    hydrate(target, App)
+
+    expect(target.innerHTML).toBe('<ul><li>Client</li></ul>')
+    expect(warnSpy).toHaveBeenCalledTimes(2)
+    expect(warnSpy.mock.calls[0][0]).toContain('Hydration mismatch')
+  })
+
+  it('should report text that differs between server and client', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const App = () => h('p', {}, 'Client')
+    const target = document.createElement('div')
+    target.innerHTML = '<p>Server</p>'
+    const paragraph = target.firstChild
+
+    hydrate(target, App)
+
+    expect(target.firstChild).toBe(paragraph)
+    expect(paragraph.textContent).toBe('Client')
+    expect(warnSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should leave markup after the root in place', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const onClick = vi.fn()
+    const App = () => h('button', { onclick: onClick }, 'Save')
+    const Footer = () => h('footer', {}, 'Footer')
+    const target = document.createElement('div')
+    target.innerHTML =
+      renderToString(App).html +
+      renderToString(Footer).html +
+      '<aside>Legacy</aside>'
+
+    hydrate(target, App)
+    hydrate(target, Footer)
+    target.querySelector('button').click()
+
+    expect(target.innerHTML).toBe(
+      '<button>Save</button><footer>Footer</footer><aside>Legacy</aside>',
+    )
+    expect(onClick).toHaveBeenCalledTimes(1)
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should add styles to the server-rendered style element', () => {
+    document.head.innerHTML =
+      '<style id="humn-styles">.humn-server { color: red; }</style>'
+    const serverStyles = document.getElementById('humn-styles')
+
+    const className = css`
+      color: teal;
+    `
+
+    expect(document.querySelectorAll('style')).toHaveLength(1)
+    expect(serverStyles.textContent).toContain('.humn-server {')
+    expect(serverStyles.textContent).toContain(`.${className} {`)
+
+    document.head.innerHTML = ''
+  })
+
+  it('should replace a server-rendered fallback with the children', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    let isServer = true
+    const Chart = () => {
+      if (isServer) throw new Error('No canvas on the server')
+      return h('canvas', {})
+    }
+    const App = () =>
+      h('main', {}, [
+        h(ErrorBoundary, { fallback: h('p', {}, 'Chart unavailable') }, [
+          h(Chart),
+        ]),
+        h('footer', {}, 'Still here'),
+      ])
+    const target = renderOnServer(App)
+    const footer = target.querySelector('footer')
+
+    isServer = false
+    hydrate(target, App)
+    await flushUpdates()
+
+    expect(target.querySelector('main').innerHTML).toBe(
+      '<!--[--><canvas></canvas><footer>Still here</footer>',
+    )
+    expect(target.querySelector('footer')).toBe(footer)
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  it('should show the fallback again when the children still throw', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const App = () =>
+      h('main', {}, [
+        h(ErrorBoundary, { fallback: h('p', {}, 'Widget unavailable') }, [
+          h(Broken),
+        ]),
+        h('footer', {}, 'Still here'),
+      ])
+    const target = renderOnServer(App)
+
+    hydrate(target, App)
+    await flushUpdates()
+
+    expect(target.textContent).toBe('Widget unavailableStill here')
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,122 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import { Cortex, Fragment, h, mount } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function renderList(
+  ids,
+  renderItem = (id) => h('li', { key: id }, String(id)),
+) {
+  const list = new Cortex({
+    memory: { ids },
+    synapses: (set) => ({ setIds: (nextIds) => set({ ids: nextIds }) }),
+  })
+  const App = () => h('ul', {}, list.memory.ids.map(renderItem))
+  const target = document.createElement('div')
+  mount(target, App)
+
+  const ul = target.firstChild
+  const nodesById = new Map(
+    Array.from(ul.children).map((node) => [node.textContent, node]),
+  )
+
+  return { list, nodesById, ul }
+}
+
+function range(count) {
+  return Array.from({ length: count }, (_, index) => index + 1)
+}
+
+describe('Keyed reconciliation', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should reverse a list with the minimum number of moves', async () => {
+    const { list, nodesById, ul } = renderList(range(10))
+    const insertSpy = vi.spyOn(ul, 'insertBefore')
+
+    list.synapses.setIds(range(10).reverse())
+    await flushUpdates()
+
+    expect(ul.textContent).toBe('10987654321')
+    expect(insertSpy).toHaveBeenCalledTimes(9)
+    expect(ul.firstChild).toBe(nodesById.get('10'))
+  })
+
+  it('should swap two rows by moving only those rows', async () => {
+    const { list, nodesById, ul } = renderList(range(6))
+    const insertSpy = vi.spyOn(ul, 'insertBefore')
+
+    list.synapses.setIds([1, 5, 3, 4, 2, 6])
+    await flushUpdates()
+
+    expect(ul.textContent).toBe('153426')
+    expect(insertSpy).toHaveBeenCalledTimes(2)
+    expect(ul.children[1]).toBe(nodesById.get('5'))
+  })
+
+  it('should prepend without moving existing rows', async () => {
+    const { list, ul } = renderList(range(5))
+    const insertSpy = vi.spyOn(ul, 'insertBefore')
+
+    list.synapses.setIds([0, ...range(5)])
+    await flushUpdates()
+
+    expect(ul.textContent).toBe('012345')
+    expect(insertSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should apply inserts, removals and moves in one update', async () => {
+    const { list, nodesById, ul } = renderList([1, 2, 3, 4, 5, 6, 7])
+
+    list.synapses.setIds([1, 8, 6, 3, 9, 2, 7])
+    await flushUpdates()
+
+    expect(Array.from(ul.children, (node) => node.textContent)).toEqual([
+      '1',
+      '8',
+      '6',
+      '3',
+      '9',
+      '2',
+      '7',
+    ])
+    expect(ul.children[2]).toBe(nodesById.get('6'))
+    expect(ul.children[5]).toBe(nodesById.get('2'))
+  })
+
+  it('should move keyed fragments with all of their nodes', async () => {
+    const { list, ul } = renderList([1, 2, 3], (id) =>
+      h(Fragment, { key: id }, [h('li', {}, `${id}a`), h('li', {}, `${id}b`)]),
+    )
+
+    list.synapses.setIds([3, 1, 2])
+    await flushUpdates()
+
+    expect(Array.from(ul.children, (node) => node.textContent)).toEqual([
+      '3a',
+      '3b',
+      '1a',
+      '1b',
+      '2a',
+      '2b',
+    ])
+  })
+
+  it('should warn about duplicate keys and keep both rows', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { list, ul } = renderList([1, 2])
+
+    list.synapses.setIds([1, 1, 2])
+    await flushUpdates()
+
+    expect(ul.textContent).toBe('112')
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Duplicate key "1"'),
+    )
+  })
+})
@@ -47,6 +47,30 @@ describe('Large app regression coverage', () => {
     expect(target.textContent).toContain('Notifications: 25')
   })
 
+  it('reorders rows by moving the existing row elements', async () => {
+    const cortex = createLargeAppCortex({ rowCount: 500 })
+    const { App } = createLargeAppComponents(cortex)
+    const target = document.createElement('div')
+
+    mount(target, App)
+
+    const firstRow = target.querySelector('[data-row-id="1"]')
+    const lastRow = target.querySelector('[data-row-id="500"]')
+
+    cortex.synapses.reverseRows()
+    await flushUpdates()
+    cortex.synapses.swapRows(0, 499)
+    await flushUpdates()
+    cortex.synapses.prependRows(5)
+    await flushUpdates()
+
+    const rows = target.querySelectorAll('[data-row-id]')
+    expect(rows.length).toBe(505)
+    expect(rows[0].getAttribute('data-row-id')).toBe('-4')
+    expect(rows[5]).toBe(firstRow)
+    expect(rows[504]).toBe(lastRow)
+  })
+
   it('handles many mixed state updates without losing list correctness', async () => {
     const cortex = createLargeAppCortex({ rowCount: 600 })
     const { App } = createLargeAppComponents(cortex)
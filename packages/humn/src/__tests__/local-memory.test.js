@@ -0,0 +1,131 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import { Cortex, h, mount, renderToString, useMemory } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+describe('useMemory', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should re-render the component when its local state changes', async () => {
+    const Dropdown = () => {
+      const local = useMemory({ open: false })
+      return h('div', {}, [
+        h('button', { onclick: () => (local.open = !local.open) }, 'Menu'),
+        local.open ? h('ul', {}, h('li', {}, 'Item')) : null,
+      ])
+    }
+    const target = document.createElement('div')
+
+    mount(target, Dropdown)
+    target.querySelector('button').click()
+    await flushUpdates()
+
+    expect(target.querySelector('ul')).not.toBeNull()
+  })
+
+  it('should keep state separate for each instance', async () => {
+    let firstState
+    const Counter = ({ id }) => {
+      const local = useMemory({ count: 0 })
+      if (id === 1) firstState = local
+      return h('span', {}, String(local.count))
+    }
+    const App = () =>
+      h('div', {}, [h(Counter, { id: 1 }), h(Counter, { id: 2 })])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    firstState.count++
+    await flushUpdates()
+
+    expect(target.textContent).toBe('10')
+  })
+
+  it('should keep state across re-renders caused by a parent', async () => {
+    const theme = new Cortex({
+      memory: { name: 'light' },
+      synapses: (set) => ({ setName: (name) => set({ name }) }),
+    })
+    let local
+    const Panel = ({ theme: themeName }) => {
+      local = useMemory(() => ({ form: { title: 'Draft' }, tags: [] }))
+      return h('p', {}, `${themeName}:${local.form.title}:${local.tags.length}`)
+    }
+    const App = () => h('div', {}, h(Panel, { theme: theme.memory.name }))
+    const target = document.createElement('div')
+
+    mount(target, App)
+    local.form.title = 'Saved'
+    local.tags.push('news')
+    await flushUpdates()
+    theme.synapses.setName('dark')
+    await flushUpdates()
+
+    expect(target.textContent).toBe('dark:Saved:1')
+  })
+
+  it('should only re-render the owning component', async () => {
+    const parentRender = vi.fn()
+    let local
+    const Child = () => {
+      local = useMemory({ hovered: false })
+      return h('span', {}, local.hovered ? 'yes' : 'no')
+    }
+    const Parent = () => {
+      parentRender()
+      return h('div', {}, h(Child))
+    }
+    const target = document.createElement('div')
+
+    mount(target, Parent)
+    local.hovered = true
+    await flushUpdates()
+
+    expect(target.textContent).toBe('yes')
+    expect(parentRender).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop updating after the component unmounts', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const toggle = new Cortex({
+      memory: { visible: true },
+      synapses: (set) => ({ hide: () => set({ visible: false }) }),
+    })
+    const render = vi.fn()
+    let local
+    const Child = () => {
+      local = useMemory({ count: 0 })
+      render(local.count)
+      return h('span', {}, String(local.count))
+    }
+    const App = () => h('div', {}, toggle.memory.visible ? h(Child) : null)
+
+    mount(document.createElement('div'), App)
+    toggle.synapses.hide()
+    await flushUpdates()
+    local.count = 5
+    await flushUpdates()
+
+    expect(render).toHaveBeenCalledTimes(1)
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Humn: Cannot update a disposed Cortex.',
+    )
+  })
+
+  it('should throw when called outside a component', () => {
+    expect(() => useMemory({})).toThrow(
+      'must be called while a component renders',
+    )
+  })
+
+  it('should render initial local state on the server', () => {
+    const App = () => h('p', {}, String(useMemory({ count: 3 }).count))
+
+    expect(renderToString(App).html).toBe('<p>3</p>')
+  })
+})
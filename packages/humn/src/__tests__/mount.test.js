@@ -0,0 +1,167 @@
+import { describe, expect, it, vi } from 'vitest'
+
+import { Cortex, Fragment, h, mount, onCleanup } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createCounterCortex() {
+  return new Cortex({
+    memory: { count: 0 },
+    synapses: (set) => ({
+      increment: () => set((state) => ({ count: state.count + 1 })),
+    }),
+  })
+}
+
+describe('mount handle', () => {
+  it('should expose the target element as root', () => {
+    const target = document.createElement('div')
+    const app = mount(target, () => h('p', {}, 'Hello'))
+
+    expect(app.root).toBe(target)
+  })
+
+  it('should remove the DOM and run cleanup hooks on unmount', () => {
+    const cleanupSpy = vi.fn()
+    const Child = () => {
+      onCleanup(cleanupSpy)
+      return h('span', {}, 'Child')
+    }
+    const target = document.createElement('div')
+    const app = mount(target, () => h('div', {}, [h(Child)]))
+
+    app.unmount()
+
+    expect(target.innerHTML).toBe('')
+    expect(cleanupSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop re-rendering on cortex updates after unmount', async () => {
+    const cortex = createCounterCortex()
+    const Counter = vi.fn(() => h('span', {}, String(cortex.memory.count)))
+    const target = document.createElement('div')
+    const app = mount(target, () => h('div', {}, [h(Counter)]))
+
+    app.unmount()
+    cortex.synapses.increment()
+    await flushUpdates()
+
+    expect(Counter).toHaveBeenCalledTimes(1)
+    expect(target.innerHTML).toBe('')
+  })
+
+  it('should stop re-rendering components added after a root re-render', async () => {
+    const cortex = new Cortex({
+      memory: { count: 0, show: false },
+      synapses: (set, get) => ({
+        hide: () => set({ show: false }),
+        increment: () => set({ count: get().count + 1 }),
+        show: () => set({ show: true }),
+      }),
+    })
+    const Counter = vi.fn(() => h('span', {}, String(cortex.memory.count)))
+    const App = vi.fn(() =>
+      h('div', {}, [cortex.memory.show ? h(Counter) : null]),
+    )
+    const target = document.createElement('div')
+    const app = mount(target, App)
+
+    cortex.synapses.show()
+    await flushUpdates()
+    app.unmount()
+    cortex.synapses.increment()
+    cortex.synapses.hide()
+    await flushUpdates()
+
+    expect(App).toHaveBeenCalledTimes(2)
+    expect(Counter).toHaveBeenCalledTimes(1)
+  })
+
+  it('should re-render the root component with new props', () => {
+    const Greeting = ({ name }) => h('p', {}, `Hello, ${name}`)
+    const target = document.createElement('div')
+    const app = mount(target, Greeting, { name: 'Keeghan' })
+    const paragraph = target.firstChild
+
+    app.update({ name: 'McGarry' })
+
+    expect(target.innerHTML).toBe('<p>Hello, McGarry</p>')
+    expect(target.firstChild).toBe(paragraph)
+  })
+
+  it('should ignore update and unmount after unmounting', () => {
+    const target = document.createElement('div')
+    const app = mount(target, ({ label }) => h('p', {}, label), {
+      label: 'One',
+    })
+
+    app.unmount()
+    app.update({ label: 'Two' })
+    app.unmount()
+
+    expect(target.innerHTML).toBe('')
+  })
+
+  it('should keep several roots independent', async () => {
+    const cortex = createCounterCortex()
+    const Counter = vi.fn(() => h('span', {}, String(cortex.memory.count)))
+    const first = document.createElement('div')
+    const second = document.createElement('div')
+
+    const firstApp = mount(first, Counter)
+    mount(second, Counter)
+    firstApp.unmount()
+
+    cortex.synapses.increment()
+    await flushUpdates()
+
+    expect(first.innerHTML).toBe('')
+    expect(second.innerHTML).toBe('<span>1</span>')
+    expect(Counter).toHaveBeenCalledTimes(3)
+  })
+
+  it('should leave existing content of the target untouched', () => {
+    const target = document.createElement('div')
+    target.innerHTML = '<p>Legacy</p>'
+
+    const app = mount(target, () => h('section', {}, 'Widget'))
+    expect(target.innerHTML).toBe('<p>Legacy</p><section>Widget</section>')
+
+    app.unmount()
+    expect(target.innerHTML).toBe('<p>Legacy</p>')
+  })
+
+  it('should keep several roots mounted into the same target', async () => {
+    const cortex = new Cortex({
+      memory: { items: ['a'] },
+      synapses: (set, get) => ({
+        add: (item) => set({ items: [...get().items, item] }),
+      }),
+    })
+    const List = () =>
+      h(
+        Fragment,
+        {},
+        cortex.memory.items.map((item) => h('li', {}, item)),
+      )
+    const target = document.createElement('ul')
+    target.innerHTML = '<li>legacy</li>'
+
+    const list = mount(target, List)
+    const footer = mount(target, ({ label }) => h('li', {}, label), {
+      label: 'footer',
+    })
+    cortex.synapses.add('b')
+    await flushUpdates()
+    footer.update({ label: 'updated footer' })
+
+    expect(target.textContent).toBe('legacyabupdated footer')
+
+    list.unmount()
+    footer.update({ label: 'last' })
+
+    expect(target.innerHTML).toBe('<li>legacy</li><li>last</li>')
+  })
+})
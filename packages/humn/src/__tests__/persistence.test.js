@@ -0,0 +1,663 @@
+import { IDBFactory } from 'fake-indexeddb'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import {
+  Cortex,
+  createIndexedDBStorage,
+  createMemoryStorage,
+  h,
+  mount,
+  parseState,
+  persist,
+  stringifyState,
+} from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createAsyncStorage(entries = {}) {
+  const storage = createMemoryStorage(entries)
+  let releaseLoads
+  const loadsReleased = new Promise((resolve) => {
+    releaseLoads = resolve
+  })
+
+  return {
+    getItem: async (key) => {
+      await loadsReleased
+      return storage.getItem(key)
+    },
+    releaseLoads,
+    removeItem: async (key) => storage.removeItem(key),
+    setItem: async (key, value) => storage.setItem(key, value),
+    storage,
+  }
+}
+
+describe('persist storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should read and write through the given storage', () => {
+    const storage = createMemoryStorage({ draft: '"Saved"' })
+    const cortex = new Cortex({
+      memory: { draft: persist('', { storage }) },
+      synapses: (set) => ({ write: (draft) => set({ draft }) }),
+    })
+
+    expect(cortex.memory.draft).toBe('Saved')
+
+    cortex.synapses.write('Edited')
+
+    expect(storage.getItem('draft')).toBe('"Edited"')
+    expect(localStorage.getItem('draft')).toBeNull()
+  })
+
+  it('should accept sessionStorage as an adapter', () => {
+    const cortex = new Cortex({
+      memory: { tab: persist('home', { storage: sessionStorage }) },
+      synapses: (set) => ({ open: (tab) => set({ tab }) }),
+    })
+
+    cortex.synapses.open('settings')
+
+    expect(sessionStorage.getItem('tab')).toBe('"settings"')
+  })
+
+  it('should use custom serializers', () => {
+    const storage = createMemoryStorage()
+    const cortex = new Cortex({
+      memory: {
+        seen: persist(new Set(), {
+          deserialize: parseState,
+          serialize: stringifyState,
+          storage,
+        }),
+      },
+      synapses: (set, get) => ({
+        see: (id) => set({ seen: new Set([...get().seen, id]) }),
+      }),
+    })
+
+    cortex.synapses.see('a')
+    const reloaded = new Cortex({
+      memory: {
+        seen: persist(new Set(), {
+          deserialize: parseState,
+          serialize: stringifyState,
+          storage,
+        }),
+      },
+      synapses: () => ({}),
+    })
+
+    expect(reloaded.memory.seen).toEqual(new Set(['a']))
+  })
+
+  it('should fall back to the initial value when a stored value cannot be read', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const storage = createMemoryStorage({ count: '{not json' })
+    const cortex = new Cortex({
+      memory: { count: persist(0, { storage }) },
+      synapses: () => ({}),
+    })
+
+    expect(cortex.memory.count).toBe(0)
+  })
+
+  it('should be ready straight away with synchronous storage', async () => {
+    const cortex = new Cortex({
+      memory: { count: persist(0) },
+      synapses: () => ({}),
+    })
+
+    expect(cortex.persistence.status).toBe('ready')
+    await expect(cortex.persistence.ready).resolves.toBeUndefined()
+  })
+
+  describe('async storage', () => {
+    it('should start pending and apply stored values once loaded', async () => {
+      const storage = createAsyncStorage({ notes: '["Saved"]' })
+      const cortex = new Cortex({
+        memory: { notes: persist([], { storage }) },
+        synapses: () => ({}),
+      })
+      const render = vi.fn(() =>
+        h('p', {}, [
+          cortex.persistence.status,
+          ':',
+          cortex.memory.notes.join(','),
+        ]),
+      )
+      const target = document.createElement('div')
+      mount(target, render)
+
+      expect(target.textContent).toBe('pending:')
+
+      storage.releaseLoads()
+      await cortex.persistence.ready
+      await flushUpdates()
+
+      expect(target.textContent).toBe('ready:Saved')
+    })
+
+    it('should keep writes made while loading', async () => {
+      const storage = createAsyncStorage({ notes: '["Saved"]' })
+      const cortex = new Cortex({
+        memory: { notes: persist([], { storage }) },
+        synapses: (set) => ({ add: (note) => set({ notes: [note] }) }),
+      })
+
+      cortex.synapses.add('Typed')
+      storage.releaseLoads()
+      await cortex.persistence.ready
+      await flushUpdates()
+
+      expect(cortex.memory.notes).toEqual(['Typed'])
+      expect(storage.storage.getItem('notes')).toBe('["Typed"]')
+    })
+
+    it('should not write loaded values back to storage', async () => {
+      const storage = createAsyncStorage({ notes: '["Saved"]' })
+      const setItem = vi.spyOn(storage, 'setItem')
+      const cortex = new Cortex({
+        memory: { notes: persist([], { storage }) },
+        synapses: () => ({}),
+      })
+
+      storage.releaseLoads()
+      await cortex.persistence.ready
+
+      expect(setItem).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('IndexedDB storage', () => {
+    beforeEach(() => {
+      vi.stubGlobal('indexedDB', new IDBFactory())
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    it('should read, write and remove values', async () => {
+      const storage = createIndexedDBStorage()
+
+      await storage.setItem('draft', '"Saved"')
+      expect(await storage.getItem('draft')).toBe('"Saved"')
+
+      await storage.removeItem('draft')
+      expect(await storage.getItem('draft')).toBeNull()
+    })
+
+    it('should keep stores of several adapters in one database', async () => {
+      const notes = createIndexedDBStorage({ storeName: 'notes' })
+      const drafts = createIndexedDBStorage({ storeName: 'drafts' })
+
+      await notes.setItem('list', '["Saved"]')
+      await drafts.setItem('reply', '"Typed"')
+      await notes.setItem('count', '1')
+
+      expect(await notes.getItem('list')).toBe('["Saved"]')
+      expect(await drafts.getItem('reply')).toBe('"Typed"')
+      expect(await notes.getItem('count')).toBe('1')
+    })
+
+    it('should load and save persisted keys', async () => {
+      await createIndexedDBStorage().setItem('notes', '["Saved"]')
+      const cortex = new Cortex({
+        memory: { notes: persist([], { storage: createIndexedDBStorage() }) },
+        synapses: (set) => ({ add: (note) => set({ notes: [note] }) }),
+      })
+
+      await cortex.persistence.ready
+      expect(cortex.memory.notes).toEqual(['Saved'])
+
+      cortex.synapses.add('Typed')
+      await vi.waitFor(async () =>
+        expect(await createIndexedDBStorage().getItem('notes')).toBe(
+          '["Typed"]',
+        ),
+      )
+    })
+  })
+
+  describe('versions', () => {
+    function createSettings(storage) {
+      return new Cortex({
+        memory: {
+          settings: persist(
+            { appearance: { theme: 'light' } },
+            {
+              migrate: (oldValue, oldVersion) => {
+                if (oldVersion === 0)
+                  return { appearance: { theme: oldValue.theme } }
+                throw new Error(`Unknown version ${oldVersion}`)
+              },
+              storage,
+              version: 1,
+            },
+          ),
+        },
+        synapses: (set) => ({
+          setTheme: (theme) => set({ settings: { appearance: { theme } } }),
+        }),
+      })
+    }
+
+    it('should store values with their version', () => {
+      const storage = createMemoryStorage()
+      const cortex = createSettings(storage)
+
+      cortex.synapses.setTheme('dark')
+
+      expect(JSON.parse(storage.getItem('settings'))).toEqual({
+        __humn_meta: { version: 1 },
+        value: { appearance: { theme: 'dark' } },
+      })
+      expect(createSettings(storage).memory.settings.appearance.theme).toBe(
+        'dark',
+      )
+    })
+
+    it('should migrate values stored before versioning and save the result', () => {
+      const storage = createMemoryStorage({ settings: '{"theme":"dark"}' })
+      const cortex = createSettings(storage)
+
+      expect(cortex.memory.settings).toEqual({ appearance: { theme: 'dark' } })
+      expect(JSON.parse(storage.getItem('settings')).__humn_meta).toEqual({
+        version: 1,
+      })
+    })
+
+    it('should fall back to the initial value when a migration fails', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const storage = createMemoryStorage({
+        settings: '{"__humn_meta":{"version":5},"value":{}}',
+      })
+      const cortex = createSettings(storage)
+
+      expect(cortex.memory.settings).toEqual({ appearance: { theme: 'light' } })
+      expect(warnSpy.mock.calls[0][0]).toContain(
+        "Failed to migrate 'settings' from version 5 to 1",
+      )
+    })
+  })
+
+  describe('sync', () => {
+    const cortexes = []
+
+    function createSettings(config = {}) {
+      const cortex = new Cortex({
+        memory: {
+          settings: persist({ theme: 'light' }, { sync: true, ...config }),
+        },
+        synapses: (set) => ({
+          setTheme: (theme) =>
+            set((state) => {
+              state.settings.theme = theme
+            }),
+        }),
+      })
+      cortexes.push(cortex)
+      return cortex
+    }
+
+    function dispatchStorageEvent(key, newValue) {
+      window.dispatchEvent(
+        new StorageEvent('storage', {
+          key,
+          newValue,
+          storageArea: localStorage,
+        }),
+      )
+    }
+
+    afterEach(() => {
+      cortexes.splice(0).forEach((cortex) => cortex.dispose())
+    })
+
+    it('should apply values other tabs write to localStorage', async () => {
+      const cortex = createSettings()
+      const render = vi.fn(() => h('p', {}, cortex.memory.settings.theme))
+      const target = document.createElement('div')
+      mount(target, render)
+
+      dispatchStorageEvent('settings', '{"theme":"dark"}')
+      await flushUpdates()
+
+      expect(target.textContent).toBe('dark')
+    })
+
+    it('should not write synced values back to storage', () => {
+      const cortex = createSettings()
+      const setItem = vi.spyOn(Storage.prototype, 'setItem')
+
+      dispatchStorageEvent('settings', '{"theme":"dark"}')
+
+      expect(cortex.memory.settings.theme).toBe('dark')
+      expect(setItem).not.toHaveBeenCalled()
+    })
+
+    it('should reset to the initial value when another tab removes the key', () => {
+      const cortex = createSettings()
+      cortex.synapses.setTheme('dark')
+
+      dispatchStorageEvent('settings', null)
+
+      expect(cortex.memory.settings.theme).toBe('light')
+    })
+
+    it('should ignore values stored by another version', () => {
+      const cortex = createSettings({ version: 2 })
+
+      dispatchStorageEvent(
+        'settings',
+        '{"__humn_meta":{"version":3},"value":{"mode":"dark"}}',
+      )
+
+      expect(cortex.memory.settings).toEqual({ theme: 'light' })
+    })
+
+    it('should sync other storage adapters over a BroadcastChannel', async () => {
+      const storage = createMemoryStorage()
+      const firstTab = createSettings({ storage })
+      const secondTab = createSettings({ storage })
+
+      firstTab.synapses.setTheme('dark')
+      await vi.waitFor(() =>
+        expect(secondTab.memory.settings.theme).toBe('dark'),
+      )
+    })
+
+    it('should leave keys without sync alone', () => {
+      const cortex = new Cortex({
+        memory: { theme: persist('light') },
+        synapses: () => ({}),
+      })
+
+      dispatchStorageEvent('theme', '"dark"')
+
+      expect(cortex.memory.theme).toBe('light')
+    })
+  })
+
+  describe('write options', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    function createChat(config) {
+      const storage = createMemoryStorage()
+      const cortex = new Cortex({
+        memory: { messages: persist([], { storage, ...config }) },
+        synapses: (set, get) => ({
+          send: (text) => set({ messages: [...get().messages, text] }),
+        }),
+      })
+
+      return { cortex, storage }
+    }
+
+    it('should save debounced values once updates stop', () => {
+      vi.useFakeTimers()
+      const { cortex, storage } = createChat({ debounce: 100 })
+      const setItem = vi.spyOn(storage, 'setItem')
+
+      cortex.synapses.send('a')
+      vi.advanceTimersByTime(50)
+      cortex.synapses.send('b')
+      vi.advanceTimersByTime(50)
+      expect(setItem).not.toHaveBeenCalled()
+
+      vi.advanceTimersByTime(50)
+      expect(setItem).toHaveBeenCalledTimes(1)
+      expect(storage.getItem('messages')).toBe('["a","b"]')
+    })
+
+    it('should save idle-time values once the browser is idle', () => {
+      vi.useFakeTimers()
+      const { cortex, storage } = createChat({ idle: true })
+
+      cortex.synapses.send('a')
+      cortex.synapses.send('b')
+      expect(storage.getItem('messages')).toBeNull()
+
+      vi.runAllTimers()
+      expect(storage.getItem('messages')).toBe('["a","b"]')
+    })
+
+    it('should flush pending writes on pagehide', () => {
+      vi.useFakeTimers()
+      const { cortex, storage } = createChat({ debounce: 1000 })
+
+      cortex.synapses.send('a')
+      window.dispatchEvent(new Event('pagehide'))
+
+      expect(storage.getItem('messages')).toBe('["a"]')
+    })
+
+    it('should flush pending writes on request', () => {
+      vi.useFakeTimers()
+      const { cortex, storage } = createChat({ idle: true })
+
+      cortex.synapses.send('a')
+      cortex.persistence.flush()
+
+      expect(storage.getItem('messages')).toBe('["a"]')
+    })
+
+    it('should report values over maxSize instead of saving them', () => {
+      const onError = vi.fn()
+      const { cortex, storage } = createChat({ maxSize: 10, onError })
+
+      cortex.synapses.send('a long message')
+
+      expect(storage.getItem('messages')).toBeNull()
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), {
+        key: 'messages',
+      })
+      expect(onError.mock.calls[0][0].message).toContain('over its maxSize')
+    })
+
+    it('should log save errors when there is no onError', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const { cortex, storage } = createChat({ maxSize: 10 })
+
+      cortex.synapses.send('a long message')
+
+      expect(storage.getItem('messages')).toBeNull()
+      expect(errorSpy).toHaveBeenCalledWith(
+        "Humn: Failed to save 'messages'.",
+        expect.any(Error),
+      )
+    })
+
+    it('should report storage errors such as a full quota', () => {
+      const onError = vi.fn()
+      const quotaError = new Error('QuotaExceededError')
+      const { cortex, storage } = createChat({ onError })
+      vi.spyOn(storage, 'setItem').mockImplementation(() => {
+        throw quotaError
+      })
+
+      cortex.synapses.send('a')
+
+      expect(onError).toHaveBeenCalledWith(quotaError, { key: 'messages' })
+    })
+
+    describe('include and exclude', () => {
+      function createAccount(config, entries) {
+        const storage = createMemoryStorage(entries)
+        const cortex = new Cortex({
+          memory: {
+            account: persist(
+              { profile: { name: '', token: null }, draft: '' },
+              { storage, ...config },
+            ),
+          },
+          synapses: (set) => ({
+            setName: (name) =>
+              set((state) => {
+                state.account.profile.name = name
+              }),
+            setToken: (token) =>
+              set((state) => {
+                state.account.profile.token = token
+              }),
+          }),
+        })
+
+        return { cortex, storage }
+      }
+
+      it('should save only included paths', () => {
+        const { cortex, storage } = createAccount({
+          include: ['profile.name'],
+        })
+
+        cortex.synapses.setName('Keeghan')
+
+        expect(JSON.parse(storage.getItem('account'))).toEqual({
+          profile: { name: 'Keeghan' },
+        })
+      })
+
+      it('should leave out excluded paths', () => {
+        const { cortex, storage } = createAccount({
+          exclude: ['profile.token'],
+        })
+
+        cortex.synapses.setName('Keeghan')
+
+        expect(JSON.parse(storage.getItem('account'))).toEqual({
+          draft: '',
+          profile: { name: 'Keeghan' },
+        })
+      })
+
+      it('should skip writes for changes to paths that are not saved', () => {
+        const { cortex, storage } = createAccount({
+          exclude: ['profile.token'],
+        })
+        const setItem = vi.spyOn(storage, 'setItem')
+
+        cortex.synapses.setToken('secret')
+
+        expect(setItem).not.toHaveBeenCalled()
+      })
+
+      it('should fill paths that were not saved from the initial value', () => {
+        const { cortex } = createAccount(
+          { include: ['profile.name'] },
+          { account: '{"profile":{"name":"Keeghan"}}' },
+        )
+
+        expect(cortex.memory.account).toEqual({
+          draft: '',
+          profile: { name: 'Keeghan', token: null },
+        })
+      })
+    })
+  })
+
+  describe('expiry', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    function createFeed(storage, config) {
+      return new Cortex({
+        memory: { posts: persist([], { storage, ...config }) },
+        synapses: (set) => ({ load: (posts) => set({ posts }) }),
+      })
+    }
+
+    it('should discard values older than their ttl', () => {
+      vi.useFakeTimers()
+      const storage = createMemoryStorage()
+      createFeed(storage, { ttl: 60_000 }).synapses.load(['Cached'])
+
+      vi.advanceTimersByTime(30_000)
+      expect(createFeed(storage, { ttl: 60_000 }).memory.posts).toEqual([
+        'Cached',
+      ])
+
+      vi.advanceTimersByTime(30_000)
+      expect(createFeed(storage, { ttl: 60_000 }).memory.posts).toEqual([])
+      expect(storage.getItem('posts')).toBeNull()
+    })
+
+    it('should discard values after expiresAt', () => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+      const storage = createMemoryStorage()
+      const expiresAt = new Date('2026-01-02T00:00:00Z')
+      createFeed(storage, { expiresAt }).synapses.load(['Cached'])
+
+      vi.setSystemTime(new Date('2026-01-02T00:00:00Z'))
+
+      expect(createFeed(storage, { expiresAt }).memory.posts).toEqual([])
+    })
+  })
+
+  describe('clear', () => {
+    function createFeedWithDebounce(storage) {
+      return new Cortex({
+        memory: { posts: persist([], { debounce: 100, storage }) },
+        synapses: (set) => ({ load: (posts) => set({ posts }) }),
+      })
+    }
+
+    it('should remove persisted keys and reset them to their initial values', async () => {
+      const cortex = new Cortex({
+        memory: {
+          token: persist(null),
+          theme: persist('light'),
+          query: 'news',
+        },
+        synapses: (set) => ({
+          login: (token) => set({ theme: 'dark', token }),
+        }),
+      })
+      const render = vi.fn(() => h('p', {}, String(cortex.memory.token)))
+      const target = document.createElement('div')
+      mount(target, render)
+      cortex.synapses.login('secret')
+      await flushUpdates()
+
+      await cortex.persistence.clear()
+      await flushUpdates()
+
+      expect(cortex.memory).toEqual({
+        query: 'news',
+        theme: 'light',
+        token: null,
+      })
+      expect(localStorage.getItem('token')).toBeNull()
+      expect(localStorage.getItem('theme')).toBeNull()
+      expect(target.textContent).toBe('null')
+    })
+
+    it('should cancel scheduled writes', () => {
+      vi.useFakeTimers()
+      const storage = createMemoryStorage()
+      const cortex = createFeedWithDebounce(storage)
+
+      cortex.synapses.load(['Cached'])
+      cortex.persistence.clear()
+      vi.runAllTimers()
+      vi.useRealTimers()
+
+      expect(storage.getItem('posts')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, it } from 'vitest'
+
+import { Cortex, h, mount, onCleanup, Portal } from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createToggle(memory) {
+  return new Cortex({
+    memory,
+    synapses: (set) => ({ update: (changes) => set(changes) }),
+  })
+}
+
+describe('Portal', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should render children into the target instead of the parent', () => {
+    const modalRoot = document.createElement('aside')
+    document.body.appendChild(modalRoot)
+    const App = () =>
+      h('div', { style: 'overflow: hidden' }, [
+        h('p', {}, 'Page'),
+        h(Portal, { target: modalRoot }, h('dialog', {}, 'Modal')),
+        h('p', {}, 'Footer'),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+
+    expect(target.innerHTML).toBe(
+      '<div style="overflow: hidden"><p>Page</p><p>Footer</p></div>',
+    )
+    expect(modalRoot.textContent).toBe('Modal')
+  })
+
+  it('should accept a selector and keep existing target content', () => {
+    document.body.innerHTML = '<div id="toasts"><p>Existing</p></div>'
+    const App = () => h(Portal, { target: '#toasts' }, h('p', {}, 'Saved'))
+
+    mount(document.createElement('div'), App)
+
+    expect(document.getElementById('toasts').textContent).toBe('ExistingSaved')
+  })
+
+  it('should keep portal content reactive', async () => {
+    const toast = createToggle({ message: 'Saving' })
+    const Toast = () => h('output', {}, toast.memory.message)
+    const App = () =>
+      h('div', {}, h(Portal, { target: document.body }, h(Toast)))
+
+    mount(document.createElement('div'), App)
+    toast.synapses.update({ message: 'Saved' })
+    await flushUpdates()
+
+    expect(document.body.querySelector('output').textContent).toBe('Saved')
+  })
+
+  it('should remove portal content and run cleanups when it unmounts', async () => {
+    const state = createToggle({ open: true })
+    let cleanedUp = false
+    const Modal = () => {
+      onCleanup(() => {
+        cleanedUp = true
+      })
+      return h('dialog', {}, 'Modal')
+    }
+    const App = () =>
+      h('div', {}, [
+        state.memory.open
+          ? h(Portal, { target: document.body }, h(Modal))
+          : null,
+        h('button', {}, 'Open'),
+      ])
+
+    mount(document.createElement('div'), App)
+    expect(document.body.querySelector('dialog')).not.toBeNull()
+
+    state.synapses.update({ open: false })
+    await flushUpdates()
+
+    expect(document.body.innerHTML).toBe('')
+    expect(cleanedUp).toBe(true)
+  })
+
+  it('should move its content when the target changes', async () => {
+    document.body.innerHTML =
+      '<section id="first"></section><section id="second"></section>'
+    const first = document.getElementById('first')
+    const second = document.getElementById('second')
+    const state = createToggle({ target: '#first' })
+    const App = () =>
+      h('div', {}, h(Portal, { target: state.memory.target }, 'Tooltip'))
+
+    mount(document.createElement('div'), App)
+    state.synapses.update({ target: '#second' })
+    await flushUpdates()
+
+    expect(first.innerHTML).toBe('')
+    expect(second.textContent).toBe('Tooltip')
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest'
+
+import {
+  Cortex,
+  createRef,
+  h,
+  mount,
+  onMount,
+  onUpdate,
+  renderToString,
+} from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createToggle(visible) {
+  return new Cortex({
+    memory: { visible },
+    synapses: (set) => ({ setVisible: (value) => set({ visible: value }) }),
+  })
+}
+
+describe('Element refs', () => {
+  it('should assign ref objects once the element is in the tree', () => {
+    const inputRef = createRef()
+    let connectedParent
+    const App = () =>
+      h('form', {}, [
+        h('input', {
+          ref: (element) => {
+            connectedParent = element?.parentNode?.parentNode
+          },
+        }),
+        h('input', { ref: inputRef, name: 'email' }),
+      ])
+    const target = document.createElement('div')
+
+    mount(target, App)
+
+    expect(inputRef.current).toBe(target.querySelector('[name="email"]'))
+    expect(connectedParent).toBe(target)
+    expect(target.querySelector('input').hasAttribute('ref')).toBe(false)
+  })
+
+  it('should expose refs to onMount hooks', async () => {
+    const inputRef = createRef()
+    const App = () => {
+      onMount(() => inputRef.current.focus())
+      return h('input', { ref: inputRef })
+    }
+    const target = document.createElement('div')
+    document.body.appendChild(target)
+
+    mount(target, App)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(document.activeElement).toBe(inputRef.current)
+    target.remove()
+  })
+
+  it('should clear refs when the element unmounts', async () => {
+    const toggle = createToggle(true)
+    const calls = []
+    const panelRef = createRef()
+    const App = () =>
+      h(
+        'div',
+        {},
+        toggle.memory.visible
+          ? h('section', { ref: panelRef }, [
+              h('canvas', { ref: (element) => calls.push(element) }),
+            ])
+          : null,
+      )
+
+    mount(document.createElement('div'), App)
+    toggle.synapses.setVisible(false)
+    await flushUpdates()
+
+    expect(panelRef.current).toBeNull()
+    expect(calls.map((element) => element?.tagName ?? null)).toEqual([
+      'CANVAS',
+      null,
+    ])
+  })
+
+  it('should set refs for elements created by an update before onUpdate runs', async () => {
+    const toggle = createToggle(false)
+    const inputRef = createRef()
+    const seen = []
+    const App = () => {
+      onUpdate(() => seen.push(inputRef.current?.tagName))
+      return h(
+        'div',
+        {},
+        toggle.memory.visible ? h('input', { ref: inputRef }) : null,
+      )
+    }
+
+    mount(document.createElement('div'), App)
+    toggle.synapses.setVisible(true)
+    await flushUpdates()
+
+    expect(seen).toEqual(['INPUT'])
+  })
+
+  it('should not render refs on the server', () => {
+    const App = () => h('input', { ref: createRef() })
+
+    expect(renderToString(App).html).toBe('<input>')
+  })
+})
@@ -0,0 +1,142 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+
+import {
+  Cortex,
+  createMemoryStorage,
+  persist,
+  schema,
+  validateSchema,
+} from '../index.js'
+
+const settingsSchema = schema.object({
+  fontSize: schema.number(),
+  theme: schema.oneOf('light', 'dark'),
+})
+
+describe('schema', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('validators', () => {
+    it('should accept matching values', () => {
+      expect(
+        validateSchema(settingsSchema, { fontSize: 14, theme: 'dark' }),
+      ).toEqual([])
+    })
+
+    it('should report each problem with its path', () => {
+      const todos = schema.array(
+        schema.object({
+          done: schema.boolean(),
+          note: schema.optional(schema.string()),
+          owner: schema.nullable(schema.string()),
+        }),
+      )
+
+      expect(
+        validateSchema(todos, [
+          { done: true, owner: null },
+          { done: 'yes', note: 3, owner: 'Keeghan' },
+        ]),
+      ).toEqual([
+        { message: 'Expected a boolean', path: [1, 'done'] },
+        { message: 'Expected a string', path: [1, 'note'] },
+      ])
+    })
+
+    it('should reject class instances where an object is expected', () => {
+      expect(validateSchema(settingsSchema, new Date(0))).toEqual([
+        { message: 'Expected an object', path: [] },
+      ])
+    })
+
+    it('should follow the Standard Schema interface', () => {
+      const result = settingsSchema['~standard'].validate({
+        fontSize: 14,
+        theme: 'blue',
+      })
+
+      expect(settingsSchema['~standard'].version).toBe(1)
+      expect(result.issues).toEqual([
+        { message: 'Expected one of "light", "dark"', path: ['theme'] },
+      ])
+    })
+
+    it('should accept validators from other Standard Schema libraries', () => {
+      const positive = {
+        '~standard': {
+          validate: (value) =>
+            value > 0
+              ? { value }
+              : { issues: [{ message: 'Must be positive', path: [] }] },
+          vendor: 'custom',
+          version: 1,
+        },
+      }
+
+      expect(
+        validateSchema(schema.object({ count: positive }), { count: -1 }),
+      ).toEqual([{ message: 'Must be positive', path: ['count'] }])
+    })
+  })
+
+  describe('Cortex', () => {
+    function createSettings(storage) {
+      return new Cortex({
+        memory: {
+          settings: persist({ fontSize: 14, theme: 'light' }, { storage }),
+        },
+        schema: { settings: settingsSchema },
+        synapses: (set) => ({
+          setTheme: (theme) =>
+            set((state) => {
+              state.settings.theme = theme
+            }),
+        }),
+      })
+    }
+
+    it('should load stored values that match the schema', () => {
+      const storage = createMemoryStorage({
+        settings: '{"fontSize":16,"theme":"dark"}',
+      })
+
+      expect(createSettings(storage).memory.settings.theme).toBe('dark')
+    })
+
+    it('should replace invalid stored values with the initial value', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const storage = createMemoryStorage({
+        settings: '{"fontSize":"large","theme":"dark"}',
+      })
+
+      const cortex = createSettings(storage)
+
+      expect(cortex.memory.settings).toEqual({ fontSize: 14, theme: 'light' })
+      expect(warnSpy.mock.calls[0][0]).toContain(
+        "invalid at 'settings.fontSize': Expected a number",
+      )
+    })
+
+    it('should report invalid updates with their path and synapse', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const cortex = createSettings(createMemoryStorage())
+
+      cortex.synapses.setTheme('blue')
+
+      expect(errorSpy).toHaveBeenCalledWith(
+        `Humn: Invalid value at 'settings.theme' after synapse 'setTheme': Expected one of "light", "dark".`,
+      )
+    })
+
+    it('should not report valid updates', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const cortex = createSettings(createMemoryStorage())
+
+      cortex.synapses.setTheme('dark')
+
+      expect(errorSpy).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,199 @@
+// @vitest-environment node
+import { describe, expect, it, vi } from 'vitest'
+
+import {
+  Cortex,
+  css,
+  ErrorBoundary,
+  Fragment,
+  h,
+  onMount,
+  persist,
+  renderToStream,
+  renderToString,
+} from '../index.js'
+
+async function readStream(stream) {
+  const reader = stream.getReader()
+  let text = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) return text
+    text += value
+  }
+}
+
+describe('Server rendering', () => {
+  it('should render nested components to HTML without a DOM', () => {
+    const Title = ({ text }) => h('h1', { class: 'title' }, text)
+    const App = ({ name }) =>
+      h('main', { id: 'app' }, [h(Title, { text: `Hello, ${name}!` })])
+
+    const { html } = renderToString(App, { name: 'Keeghan' })
+
+    expect(typeof document).toBe('undefined')
+    expect(html).toBe(
+      '<main id="app"><h1 class="title">Hello, Keeghan!</h1></main>',
+    )
+  })
+
+  it('should mark fragments and keep their text separate from siblings', () => {
+    const Greeting = () => h(Fragment, {}, ['Hello ', 'world'])
+    const App = () => h('p', {}, [h(Greeting), '!'])
+
+    const { html } = renderToString(App)
+
+    expect(html).toBe('<p><!--[-->Hello <!---->world<!---->!</p>')
+  })
+
+  it('should read cortex memory without subscribing the render', async () => {
+    const cortex = new Cortex({
+      memory: { count: 3 },
+      synapses: (set) => ({ increment: () => set({ count: 4 }) }),
+    })
+    const App = vi.fn(() => h('p', {}, `Count: ${cortex.memory.count}`))
+
+    expect(renderToString(App).html).toBe('<p>Count: 3</p>')
+
+    cortex.synapses.increment()
+    await Promise.resolve()
+
+    expect(App).toHaveBeenCalledTimes(1)
+  })
+
+  it('should render cortexes with synced persisted keys', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const settings = new Cortex({
+      memory: { theme: persist('light', { sync: true }) },
+      synapses: () => ({}),
+    })
+    const App = () => h('p', {}, settings.memory.theme)
+
+    expect(renderToString(App).html).toBe('<p>light</p>')
+    settings.dispose()
+    vi.restoreAllMocks()
+  })
+
+  it('should not run onMount hooks', async () => {
+    const mountSpy = vi.fn()
+    const App = () => {
+      onMount(mountSpy)
+      return h('div', {}, 'Ready')
+    }
+
+    renderToString(App)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(mountSpy).not.toHaveBeenCalled()
+  })
+
+  it('should skip event handlers and interaction helper props', () => {
+    const App = () =>
+      h('input', {
+        debounce: 300,
+        onclick: () => {},
+        'onclick|prevent': () => {},
+        oninputdebounced: () => {},
+        onenter: () => {},
+        type: 'text',
+        value: 'draft',
+      })
+
+    expect(renderToString(App).html).toBe('<input type="text" value="draft">')
+  })
+
+  it('should escape text and attribute values', () => {
+    const App = () =>
+      h('a', { title: '"quoted" & <b>' }, '<script>alert(1)</script>')
+
+    expect(renderToString(App).html).toBe(
+      '<a title="&quot;quoted&quot; &amp; &lt;b&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</a>',
+    )
+  })
+
+  it('should render boolean props the way the client applies them', () => {
+    const App = () =>
+      h('form', {}, [
+        h('button', { disabled: true }, 'Save'),
+        h('button', { disabled: false }, 'Cancel'),
+        h('input', { checked: true, type: 'checkbox' }),
+      ])
+
+    expect(renderToString(App).html).toBe(
+      '<form><button disabled>Save</button><button>Cancel</button><input checked type="checkbox"></form>',
+    )
+  })
+
+  it('should render the nearest error boundary fallback for a child that throws', () => {
+    const onError = vi.fn()
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const App = () =>
+      h('main', {}, [
+        h(
+          ErrorBoundary,
+          {
+            fallback: (error) => h('p', {}, `Unavailable: ${error.message}`),
+            onError,
+          },
+          [h('span', {}, 'Loading'), h(Broken)],
+        ),
+        h('footer', {}, 'Still here'),
+      ])
+
+    const { html } = renderToString(App)
+
+    expect(html).toBe(
+      '<main><!--humn-fallback--><p>Unavailable: Widget failed</p><!--/humn-fallback--><footer>Still here</footer></main>',
+    )
+    expect(onError).toHaveBeenCalledWith(new Error('Widget failed'))
+  })
+
+  it('should pass errors thrown by a server fallback to the next boundary', () => {
+    const Broken = () => {
+      throw new Error('Widget failed')
+    }
+    const BrokenFallback = () => {
+      throw new Error('Fallback failed')
+    }
+    const App = () =>
+      h(ErrorBoundary, { fallback: 'Page unavailable' }, [
+        h(ErrorBoundary, { fallback: h(BrokenFallback) }, [h(Broken)]),
+      ])
+
+    expect(renderToString(App).html).toBe(
+      '<!--humn-fallback-->Page unavailable<!--/humn-fallback-->',
+    )
+  })
+
+  it('should return the css collected by css()', () => {
+    const cardStyle = css`
+      padding: 4px;
+    `
+    const App = () => h('div', { class: cardStyle }, 'Card')
+
+    const result = renderToString(App)
+
+    expect(result.html).toBe(`<div class="${cardStyle}">Card</div>`)
+    expect(result.css).toContain(`.${cardStyle} {`)
+    expect(result.css).toContain('padding: 4px;')
+  })
+
+  it('should stream HTML followed by the collected styles', async () => {
+    const listStyle = css`
+      margin: 0;
+    `
+    const App = () =>
+      h('ul', { class: listStyle }, [h('li', {}, 'One'), h('li', {}, 'Two')])
+
+    const text = await readStream(renderToStream(App))
+
+    expect(
+      text.startsWith(`<ul class="${listStyle}"><li>One</li><li>Two</li></ul>`),
+    ).toBe(true)
+    expect(text).toContain('<style id="humn-styles">')
+    expect(text).toContain(`.${listStyle} {`)
+  })
+})
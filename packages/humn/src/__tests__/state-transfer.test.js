@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, it } from 'vitest'
+
+import {
+  Cortex,
+  persist,
+  restoreCortexes,
+  serializeCortexes,
+} from '../index.js'
+
+function createSessionCortex(memory = {}) {
+  return new Cortex({
+    memory: {
+      lastSeen: new Date(0),
+      tags: new Set(),
+      user: null,
+      visits: new Map(),
+      ...memory,
+    },
+    synapses: () => ({}),
+  })
+}
+
+function renderIntoPage(markup) {
+  document.body.innerHTML = markup
+}
+
+describe('serializeCortexes & restoreCortexes', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+    localStorage.clear()
+  })
+
+  it('should transfer memory including Dates, Maps and Sets', () => {
+    const serverCortex = createSessionCortex({
+      lastSeen: new Date('2024-05-01T10:00:00.000Z'),
+      tags: new Set(['admin', 'beta']),
+      user: { name: 'Keeghan' },
+      visits: new Map([['home', 3]]),
+    })
+    const clientCortex = createSessionCortex()
+
+    renderIntoPage(serializeCortexes({ session: serverCortex }))
+    const restored = restoreCortexes({ session: clientCortex })
+
+    expect(restored).toBe(true)
+    expect(clientCortex.memory.user).toEqual({ name: 'Keeghan' })
+    expect(clientCortex.memory.lastSeen).toBeInstanceOf(Date)
+    expect(clientCortex.memory.lastSeen.toISOString()).toBe(
+      '2024-05-01T10:00:00.000Z',
+    )
+    expect(clientCortex.memory.tags).toEqual(new Set(['admin', 'beta']))
+    expect(clientCortex.memory.visits.get('home')).toBe(3)
+  })
+
+  it('should escape closing script tags inside values', () => {
+    const serverCortex = createSessionCortex({
+      user: { name: '</script><script>alert(1)</script>' },
+    })
+    const clientCortex = createSessionCortex()
+
+    const markup = serializeCortexes({ session: serverCortex })
+    renderIntoPage(markup)
+    restoreCortexes({ session: clientCortex })
+
+    expect(markup.match(/<\/script>/g)).toHaveLength(1)
+    expect(document.querySelectorAll('script')).toHaveLength(1)
+    expect(clientCortex.memory.user.name).toBe(
+      '</script><script>alert(1)</script>',
+    )
+  })
+
+  it('should support a custom script id', () => {
+    const serverCortex = createSessionCortex({ user: { name: 'Keeghan' } })
+    const clientCortex = createSessionCortex()
+
+    renderIntoPage(serializeCortexes({ session: serverCortex }, { id: 'app' }))
+
+    expect(restoreCortexes({ session: clientCortex })).toBe(false)
+    expect(restoreCortexes({ session: clientCortex }, { id: 'app' })).toBe(true)
+    expect(clientCortex.memory.user).toEqual({ name: 'Keeghan' })
+  })
+
+  it('should keep persisted values loaded on the client', () => {
+    const createSettings = () =>
+      new Cortex({
+        memory: { name: 'Guest', theme: persist('light', { key: 'theme' }) },
+        synapses: () => ({}),
+      })
+    const serverCortex = createSettings()
+    serverCortex.restore({ name: 'Keeghan' })
+    localStorage.setItem('theme', JSON.stringify('dark'))
+    const clientCortex = createSettings()
+
+    renderIntoPage(serializeCortexes({ settings: serverCortex }))
+    restoreCortexes({ settings: clientCortex })
+
+    expect(clientCortex.memory.name).toBe('Keeghan')
+    expect(clientCortex.memory.theme).toBe('dark')
+    expect(localStorage.getItem('theme')).toBe(JSON.stringify('dark'))
+  })
+})
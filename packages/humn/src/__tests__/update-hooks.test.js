@@ -0,0 +1,110 @@
+import { describe, expect, it, vi } from 'vitest'
+
+import {
+  Cortex,
+  ErrorBoundary,
+  h,
+  mount,
+  onBeforeUpdate,
+  onMount,
+  onUpdate,
+} from '../index.js'
+
+async function flushUpdates() {
+  await Promise.resolve()
+}
+
+function createMessages() {
+  return new Cortex({
+    memory: { messages: ['Hi'] },
+    synapses: (set, get) => ({
+      send: (message) => set({ messages: [...get().messages, message] }),
+    }),
+  })
+}
+
+describe('Update hooks', () => {
+  it('should run onBeforeUpdate before and onUpdate after the DOM is patched', async () => {
+    const chat = createMessages()
+    const seen = []
+    let log
+    const ChatLog = () => {
+      onBeforeUpdate(() => seen.push(['before', log.childNodes.length]))
+      onUpdate(() => seen.push(['after', log.childNodes.length]))
+      onMount(() => {
+        log = target.querySelector('ol')
+      })
+      return h(
+        'ol',
+        {},
+        chat.memory.messages.map((message) => h('li', {}, message)),
+      )
+    }
+    const target = document.createElement('div')
+
+    mount(target, ChatLog)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    chat.synapses.send('Hello')
+    await flushUpdates()
+
+    expect(seen).toEqual([
+      ['before', 1],
+      ['after', 2],
+    ])
+  })
+
+  it('should not run update hooks on the first render', async () => {
+    const onUpdateSpy = vi.fn()
+    const onBeforeUpdateSpy = vi.fn()
+    const App = () => {
+      onBeforeUpdate(onBeforeUpdateSpy)
+      onUpdate(onUpdateSpy)
+      return h('p', {}, 'Static')
+    }
+
+    mount(document.createElement('div'), App)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(onBeforeUpdateSpy).not.toHaveBeenCalled()
+    expect(onUpdateSpy).not.toHaveBeenCalled()
+  })
+
+  it('should run onUpdate when a parent passes new props', async () => {
+    const chat = createMessages()
+    const counts = []
+    const Count = ({ count }) => {
+      onUpdate(() => counts.push(count))
+      return h('span', {}, String(count))
+    }
+    const App = () =>
+      h('div', {}, [h(Count, { count: chat.memory.messages.length })])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    chat.synapses.send('Hello')
+    await flushUpdates()
+
+    expect(target.textContent).toBe('2')
+    expect(counts).toEqual([2])
+  })
+
+  it('should hand update hook errors to the nearest error boundary', async () => {
+    const chat = createMessages()
+    const Widget = () => {
+      onUpdate(() => {
+        throw new Error('Update failed')
+      })
+      return h('span', {}, chat.memory.messages.join(','))
+    }
+    const App = () =>
+      h(ErrorBoundary, { fallback: h('p', {}, 'fallback') }, [h(Widget)])
+    const target = document.createElement('div')
+
+    mount(target, App)
+    chat.synapses.send('Hello')
+    await flushUpdates()
+    await flushUpdates()
+
+    expect(target.textContent).toBe('fallback')
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * @file Passing values down the component tree without props.
+ * @module context
+ */
+import { getComponentInstance } from './observer.js'
+
+/**
+ * Makes a value available to every component rendered below this one.
+ * Call it while the component renders; a descendant that provides the same
+ * key overrides it for its own subtree.
+ * @param {any} key - Any value; a Symbol avoids clashes between libraries.
+ * @param {any} value - The value descendants receive from inject().
+ */
+export function provide(key, value) {
+  const instance = getComponentInstance()
+  if (!instance) return
+
+  if (!instance.provides) instance.provides = new Map()
+  instance.provides.set(key, value)
+}
+
+/**
+ * Reads the value the nearest ancestor provided for `key`.
+ * Call it while the component renders.
+ * @param {any} key - The key passed to provide().
+ * @param {any} [defaultValue] - Returned when no ancestor provides the key.
+ * @returns {any}
+ */
+export function inject(key, defaultValue) {
+  let ancestor = getComponentInstance()?.parentInstance
+
+  while (ancestor) {
+    if (ancestor.provides?.has(key)) return ancestor.provides.get(key)
+    ancestor = ancestor.parentInstance
+  }
+
+  return defaultValue
+}
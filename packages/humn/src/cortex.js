@@ -1,6 +1,36 @@
+import { createDependencyIndex } from './dependencies.js'
+import {
+  addUndoableKey,
+  clearHistory,
+  createHistory,
+  groupHistory,
+  recordHistory,
+  redoHistory,
+  syncHistoryFlags,
+  undoHistory,
+} from './history.js'
 import { getObserver } from './observer.js'
+import { pathsOverlap } from './paths.js'
+import { isPlainContainer } from './plain-objects.js'
+import {
+  createPersistedKey,
+  flushPersistedKey,
+  isPersistedKeyDirty,
+  isThenable,
+  loadPersistedKey,
+  removePersistedKey,
+  savePersistedKey,
+  watchPersistedKey,
+} from './persistence.js'
+import { validateSchema } from './schema.js'
 
 const isDev = import.meta.env?.DEV || false
+
+const TRACKED_TARGET = Symbol('humn.trackedTarget')
+// Dependency path for history.canUndo/canRedo. Memory keys are plain
+// identifiers, so it cannot collide with one.
+const HISTORY_PATH = '@history'
+const PERSISTENCE_PATH = '@persistence'
 const pendingRenderFns = new Set()
 let isRenderFlushQueued = false
 
@@ -26,17 +56,98 @@ function flushQueuedRenders() {
   if (pendingRenderFns.size > 0) scheduleRenderFlush()
 }
 
+/**
+ * Replaces access-tracking proxies with the memory they wrap, including those
+ * in an array or object the caller built, so results of selectors and
+ * computed getters can be compared by identity and do not keep tracking.
+ */
+function unwrapTracked(value) {
+  if (typeof value !== 'object' || value === null) return value
+  if (value[TRACKED_TARGET]) return value[TRACKED_TARGET]
+  if (!isPlainContainer(value)) return value
+
+  const keys = Object.keys(value)
+  if (!keys.some((key) => value[key]?.[TRACKED_TARGET])) return value
+
+  const unwrapped = Array.isArray(value) ? [] : {}
+  keys.forEach((key) => {
+    unwrapped[key] = value[key]?.[TRACKED_TARGET] || value[key]
+  })
+  return unwrapped
+}
+
+function formatIssuePath(key, issue) {
+  return [key, ...issue.path].join('.')
+}
+
+function isSameDate(previous, next) {
+  return (
+    previous instanceof Date &&
+    next instanceof Date &&
+    previous.getTime() === next.getTime()
+  )
+}
+
+/**
+ * Compares two memory trees and collects the paths whose values differ.
+ * Unchanged references are skipped, so shared subtrees cost nothing.
+ */
+function collectChangedPaths(
+  previous,
+  next,
+  path = '',
+  changedPaths = new Set(),
+) {
+  if (Object.is(previous, next) || isSameDate(previous, next))
+    return changedPaths
+
+  const canRecurse =
+    isPlainContainer(previous) &&
+    isPlainContainer(next) &&
+    Array.isArray(previous) === Array.isArray(next)
+
+  if (!canRecurse) {
+    changedPaths.add(path)
+    return changedPaths
+  }
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)])
+  keys.forEach((key) =>
+    collectChangedPaths(
+      previous[key],
+      next[key],
+      path ? `${path}.${key}` : key,
+      changedPaths,
+    ),
+  )
+
+  return changedPaths
+}
+
 /**
  * Mapped type for the Memory configuration object.
- * Allows each property to be the raw value OR a persisted wrapper.
+ * Allows each property to be the raw value, a persisted wrapper or an
+ * undoable wrapper.
  * @template T
- * @typedef { { [K in keyof T]: T[K] | import('./persist.js').Persisted<T[K]> } } MemoryInput
+ * @typedef { { [K in keyof T]: T[K] | import('./persist.js').Persisted<T[K]> | import('./undoable.js').Undoable<T[K]> } } MemoryInput
  */
 
 /**
- * Deeply unwraps persisted values from the memory shape.
+ * Deeply unwraps persisted and undoable values from the memory shape.
  * @template {object} T
- * @typedef {{ [K in keyof T]: T[K] extends import('./persist.js').Persisted<infer I> ? I : T[K] }} UnwrappedMemory
+ * @typedef {{ [K in keyof T]: T[K] extends import('./undoable.js').Undoable<infer U> ? U : T[K] extends import('./persist.js').Persisted<infer I> ? I : T[K] }} UnwrappedMemory
+ */
+
+/**
+ * Undo/redo for memory keys wrapped in `undoable()`.
+ * @typedef {object} CortexHistory
+ * @property {() => void} undo - Restores undoable keys to before the last change
+ * @property {() => void} redo - Reapplies the last undone change
+ * @property {boolean} canUndo - Reactive; true when there is a change to undo
+ * @property {boolean} canRedo - Reactive; true when there is a change to redo
+ * @property {<T>(fn: () => T) => T} group - Records every change made while
+ *   `fn` runs as one undo step
+ * @property {() => void} clear - Forgets all undo and redo steps
  */
 
 /**
@@ -61,10 +172,56 @@ function flushQueuedRenders() {
  */
 
 /**
- * @template M, S
+ * A pending write, as seen by middleware.
+ * @template M
+ * @typedef {object} CortexUpdate
+ * @property {string | null} synapse - The synapse that called `set`, if any
+ * @property {Parameters<Setter<M>>[0]} updater - The value passed to `set`
+ * @property {M} prevState - Memory before the update
+ * @property {M} nextState - Memory the update will commit
+ * @property {Set<string>} changedPaths - Dotted paths the update changes
+ * @property {Setter<M>} set - Applies another update, e.g. to replay this one
+ */
+
+/**
+ * Runs around every `set`. Call `next()` to continue, `next(state)` to commit
+ * a different state instead, or skip it to veto the update.
+ * @template M
+ * @callback Middleware
+ * @param {CortexUpdate<M>} update
+ * @param {(nextState?: M) => void} next
+ * @returns {void}
+ */
+
+/**
+ * @typedef {object} CortexPersistence
+ * @property {'pending' | 'ready'} status - Reactive; `pending` until values
+ *   from async storage have loaded
+ * @property {Promise<void>} ready - Resolves once every persisted key has
+ *   loaded
+ * @property {() => void} flush - Writes debounced and idle-time saves now
+ * @property {() => Promise<void>} clear - Removes every persisted key from
+ *   storage and resets them to their initial values, e.g. on logout
+ */
+
+/**
+ * Getters for values derived from memory. Each receives the memory and the
+ * other computed values; only what it reads becomes a dependency.
+ * @template M, C
+ * @typedef {{ [K in keyof C]: (memory: M, computed: C) => C[K] }} ComputedConfig
+ */
+
+/**
+ * @template M, S, [C={}]
  * @typedef {object} CortexConfig
  * @property {MemoryInput<M>} memory - The initial state configuration
  * @property {SynapsesBuilder<M, S>} synapses - The synapses builder function
+ * @property {ComputedConfig<M, C>} [computed] - Derived values, cached until
+ *   the memory they read changes
+ * @property {Middleware<M>[]} [middleware] - Runs around every `set`, in order
+ * @property {Partial<Record<keyof M, import('./schema.js').StandardSchema>>} [schema] -
+ *   Validators for memory keys, checked when persisted values load and, in
+ *   development, after every `set`
  */
 
 /**
@@ -72,40 +229,60 @@ function flushQueuedRenders() {
  *
  * @template {object} MemoryType The shape of the application state
  * @template {object} SynapsesType The shape of the actions/methods
+ * @template {object} [ComputedType={}] The shape of the derived values
  */
 export class Cortex {
   /**
    * Creates an instance of Cortex.
-   * @param {CortexConfig<MemoryType, SynapsesType>} config
+   * @param {CortexConfig<MemoryType, SynapsesType, ComputedType>} config
    */
-  constructor({ memory, synapses }) {
+  constructor({
+    memory,
+    synapses,
+    computed = {},
+    middleware = [],
+    schema = {},
+  }) {
     const liveMemory = { ...memory }
+    this._schema = schema
     this._persistenceMap = new Map()
+    this._history = createHistory()
+    this._initialMemory = {}
+    this._isDisposed = false
+    const pendingLoads = []
+
+    // Load in any existing values from storage
+    for (let [key, value] of Object.entries(memory)) {
+      if (value && typeof value === 'object' && value.__humn_undoable) {
+        addUndoableKey(this._history, key, value)
+        value = value.initial
+        liveMemory[key] = value
+      }
+
+      this._initialMemory[key] = value
 
-    // Load in any existing values from local-storage
-    for (const [key, value] of Object.entries(memory)) {
       if (value && typeof value === 'object' && value.__humn_persist) {
-        const storageKey = value.config?.key || key
-        this._persistenceMap.set(key, storageKey)
+        this._initialMemory[key] = value.initial
 
-        try {
-          const stored = localStorage.getItem(storageKey)
-          if (stored !== null) {
-            liveMemory[key] = JSON.parse(stored)
-          } else {
-            liveMemory[key] = value.initial
-          }
-        } catch (err) {
-          if (isDev)
-            console.warn(`Humn: Failed to load '${key}' from storage.`, err)
-          liveMemory[key] = value.initial
+        const entry = createPersistedKey(key, value)
+        this._persistenceMap.set(key, entry)
+
+        const loaded = loadPersistedKey(entry)
+        if (isThenable(loaded)) {
+          liveMemory[key] = entry.initial
+          pendingLoads.push({ initialValue: entry.initial, key, loaded })
+        } else {
+          liveMemory[key] = this._checkLoadedValue(entry, loaded)
         }
       }
     }
 
     /** @type {UnwrappedMemory<MemoryType>} */
     this._memory = liveMemory
-    this._listeners = new Map()
+    this._listeners = createDependencyIndex()
+    this._middleware = middleware
+    this._activeSynapse = null
+    this._batch = null
 
     /** @type {Getter<UnwrappedMemory<MemoryType>>} */
     const get = () => this._memory
@@ -130,32 +307,591 @@ export class Cortex {
         changedPaths = new Set(Object.keys(updater))
       }
 
-      this._memory = nextState
+      this._applyMiddleware({
+        changedPaths,
+        nextState,
+        prevState: this._memory,
+        set,
+        synapse: this._activeSynapse,
+        updater,
+      })
+    }
 
-      // Persistence logic
-      if (this._persistenceMap.size > 0) {
-        this._persistenceMap.forEach((storageKey, stateKey) => {
-          const isDirty = Array.from(changedPaths).some(
-            (path) => path === stateKey || path.startsWith(stateKey + '.'),
-          )
+    /** @type {SynapsesType} */
+    this.synapses = this._wrapSynapses(synapses(set, get))
 
-          if (isDirty) {
-            try {
-              const value = this._memory[stateKey]
-              localStorage.setItem(storageKey, JSON.stringify(value))
-            } catch (err) {
-              if (isDev)
-                console.error(`Humn: Failed to save '${stateKey}'.`, err)
-            }
-          }
-        })
+    this._computed = new Map()
+    Object.entries(computed).forEach(([name, getter]) => {
+      // Computed names double as dependency paths, so they must not shadow
+      // memory keys.
+      if (name in liveMemory)
+        throw new Error(
+          `Humn: Computed value '${name}' has the same name as a memory key.`,
+        )
+
+      this._computed.set(name, {
+        dependencies: new Set(),
+        getter,
+        isDirty: true,
+        isEvaluating: false,
+        value: undefined,
+      })
+    })
+
+    /**
+     * Derived values. Reading one during render subscribes the component to
+     * it; it is recomputed only after memory it depends on has changed.
+     * @type {Readonly<ComputedType>}
+     */
+    this.computed = this._createComputedReader((name) => {
+      this._getObserverPaths()?.add(name)
+    })
+
+    const cortex = this
+
+    /** @type {CortexHistory} */
+    this.history = {
+      undo: () => this._travelHistory(undoHistory(this._history)),
+      redo: () => this._travelHistory(redoHistory(this._history)),
+      get canUndo() {
+        cortex._getObserverPaths()?.add(HISTORY_PATH)
+        return cortex._history.past.length > 0
+      },
+      get canRedo() {
+        cortex._getObserverPaths()?.add(HISTORY_PATH)
+        return cortex._history.future.length > 0
+      },
+      group: (fn) => {
+        try {
+          return groupHistory(this._history, fn)
+        } finally {
+          if (this._history.groupDepth === 0) this._notifyHistoryFlags()
+        }
+      },
+      clear: () => {
+        clearHistory(this._history)
+        this._notifyHistoryFlags()
+      },
+    }
+
+    this._persistenceStatus = pendingLoads.length > 0 ? 'pending' : 'ready'
+    this._stopSyncing = []
+    this._persistenceMap.forEach((entry, key) => {
+      if (!entry.sync) return
+
+      this._stopSyncing.push(
+        watchPersistedKey(entry, (value) => this._applySyncedValue(key, value)),
+      )
+    })
+
+    /** @type {CortexPersistence} */
+    this.persistence = {
+      get status() {
+        cortex._getObserverPaths()?.add(PERSISTENCE_PATH)
+        return cortex._persistenceStatus
+      },
+      ready: this._applyPendingLoads(pendingLoads),
+      flush: () =>
+        this._persistenceMap.forEach((entry) => flushPersistedKey(entry)),
+      clear: () => this._clearPersistedKeys(),
+    }
+
+    // Debounced and idle-time writes would be lost if the page closed
+    // before they ran.
+    const hasDeferredWrites = Array.from(this._persistenceMap.values()).some(
+      (entry) => entry.debounce || entry.idle,
+    )
+    this._stopFlushOnPageHide = () => {}
+    if (hasDeferredWrites && typeof window !== 'undefined') {
+      const flush = this.persistence.flush
+      window.addEventListener('pagehide', flush)
+      this._stopFlushOnPageHide = () =>
+        window.removeEventListener('pagehide', flush)
+    }
+  }
+
+  /**
+   * Returns a value loaded from storage, or the key's initial value when it
+   * does not match the key's schema. Stored data may come from older code or
+   * have been edited, so it is checked in every build.
+   */
+  _checkLoadedValue(entry, value) {
+    const keySchema = this._schema[entry.stateKey]
+    if (!keySchema) return value
+
+    const [issue] = validateSchema(keySchema, value)
+    if (!issue) return value
+
+    if (isDev)
+      console.warn(
+        `Humn: Stored value for '${entry.stateKey}' is invalid at '${formatIssuePath(entry.stateKey, issue)}': ${issue.message}. Using its initial value.`,
+      )
+    return entry.initial
+  }
+
+  /**
+   * Logs schema issues in the memory an update is about to commit, naming the
+   * synapse that made it.
+   */
+  _reportInvalidUpdate({ changedPaths, nextState, synapse }) {
+    const keys = new Set(Array.from(changedPaths, (path) => path.split('.')[0]))
+
+    keys.forEach((key) => {
+      const keySchema = this._schema[key]
+      if (!keySchema) return
+
+      validateSchema(keySchema, nextState[key]).forEach((issue) => {
+        const source = synapse ? ` after synapse '${synapse}'` : ''
+        console.error(
+          `Humn: Invalid value at '${formatIssuePath(key, issue)}'${source}: ${issue.message}.`,
+        )
+      })
+    })
+  }
+
+  /**
+   * Applies a value another tab saved. It is already in storage, so it is
+   * not saved again, and it is not recorded in undo history.
+   */
+  _applySyncedValue(key, value) {
+    const entry = this._persistenceMap.get(key)
+    const nextState = {
+      ...this._memory,
+      [key]: this._checkLoadedValue(entry, value),
+    }
+    const changedPaths = collectChangedPaths(this._memory, nextState)
+    if (changedPaths.size === 0) return
+
+    this._commit(nextState, changedPaths, {
+      isUndoable: false,
+      shouldSave: false,
+    })
+  }
+
+  _clearPersistedKeys() {
+    const entries = Array.from(this._persistenceMap.values())
+    const removals = entries.map((entry) => removePersistedKey(entry))
+
+    const initialValues = {}
+    entries.forEach((entry) => {
+      initialValues[entry.stateKey] = entry.initial
+    })
+
+    const nextState = { ...this._memory, ...initialValues }
+    const changedPaths = collectChangedPaths(this._memory, nextState)
+    if (changedPaths.size > 0)
+      this._commit(nextState, changedPaths, {
+        isUndoable: false,
+        shouldSave: false,
+      })
+
+    return Promise.all(removals).then(() => {})
+  }
+
+  /**
+   * Applies values from async storage once they have all loaded.
+   */
+  async _applyPendingLoads(pendingLoads) {
+    if (pendingLoads.length === 0) return
+
+    const loadedValues = await Promise.all(
+      pendingLoads.map(async (pending) => ({
+        ...pending,
+        value: await pending.loaded,
+      })),
+    )
+
+    const updates = {}
+    loadedValues.forEach(({ initialValue, key, value }) => {
+      // A write made while loading is newer than the stored value.
+      if (this._memory[key] === initialValue)
+        updates[key] = this._checkLoadedValue(
+          this._persistenceMap.get(key),
+          value,
+        )
+    })
+
+    const nextState = { ...this._memory, ...updates }
+    const changedPaths = collectChangedPaths(this._memory, nextState)
+    changedPaths.add(PERSISTENCE_PATH)
+
+    this._persistenceStatus = 'ready'
+    this._commit(nextState, changedPaths, {
+      isUndoable: false,
+      shouldSave: false,
+    })
+  }
+
+  /**
+   * Returns the current memory. Updates never mutate memory in place, so the
+   * snapshot stays valid and can later be passed to restore().
+   * @returns {UnwrappedMemory<MemoryType>}
+   */
+  snapshot() {
+    return { ...this._memory }
+  }
+
+  /**
+   * Replaces memory with the values from a snapshot, such as one produced on
+   * the server. Only listeners whose paths actually differ are notified.
+   * Persisted keys keep the value loaded from this client's storage, since a
+   * server snapshot only holds their initial value.
+   * @param {Partial<UnwrappedMemory<MemoryType>>} snapshot
+   */
+  restore(snapshot) {
+    const nextState = { ...this._memory }
+    Object.entries(snapshot).forEach(([key, value]) => {
+      if (!this._persistenceMap.has(key)) nextState[key] = value
+    })
+
+    const changedPaths = collectChangedPaths(this._memory, nextState)
+    if (changedPaths.size === 0) return
+
+    this._commit(nextState, changedPaths, {
+      isUndoable: false,
+      shouldSave: false,
+    })
+  }
+
+  /**
+   * Puts memory keys back to the values they were given in the constructor,
+   * ignoring anything loaded from storage. Resets every key when none are
+   * given. Persisted keys save their reset value, and undoable keys can undo
+   * the reset.
+   * @param {(keyof MemoryType)[]} [keys]
+   */
+  reset(keys = Object.keys(this._initialMemory)) {
+    const initialValues = {}
+
+    keys.forEach((key) => {
+      if (!(key in this._initialMemory))
+        throw new Error(
+          `Humn: Cannot reset unknown memory key '${String(key)}'.`,
+        )
+
+      initialValues[key] = this._initialMemory[key]
+    })
+
+    const nextState = { ...this._memory, ...initialValues }
+    const changedPaths = collectChangedPaths(this._memory, nextState)
+    if (changedPaths.size === 0) return
+
+    this._commit(nextState, changedPaths)
+  }
+
+  /**
+   * Detaches the cortex from every component and subscription, writes any
+   * pending saves and stops listening to other tabs, so it can be garbage
+   * collected, e.g. when the route that created it unloads. Memory stays
+   * readable; updates after dispose are ignored.
+   */
+  dispose() {
+    if (this._isDisposed) return
+
+    this.persistence.flush()
+    this._stopSyncing.forEach((stopSyncing) => stopSyncing())
+    this._stopFlushOnPageHide()
+
+    this._listeners.forEach((observer) => observer.__humnCortexes?.delete(this))
+    this._listeners.clear()
+    this._isDisposed = true
+  }
+
+  /**
+   * Runs `fn` as one transaction. Its writes are visible to `get()` straight
+   * away, but persistence, history and listeners see a single update when it
+   * returns. If `fn` throws, memory is rolled back and nothing is notified.
+   * Nested batches join the outermost one. An async `fn` is batched until its
+   * first `await`.
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  batch(fn) {
+    if (this._batch) return fn()
+
+    const batch = {
+      changedPaths: new Set(),
+      isUndoable: false,
+      notifiedPaths: new Set(),
+      previousState: this._memory,
+      shouldSave: true,
+    }
+    this._batch = batch
+
+    let result
+    try {
+      result = fn()
+    } catch (err) {
+      this._memory = batch.previousState
+      this._invalidateComputed(batch.changedPaths)
+      throw err
+    } finally {
+      this._batch = null
+    }
+
+    if (batch.changedPaths.size > 0) this._settle(batch)
+    return result
+  }
+
+  /**
+   * Calls `callback` whenever the slice of memory picked by `selector`
+   * changes, for code outside components such as analytics or URL syncing.
+   * The selector is re-run only when memory or computed values it read have
+   * changed, and callbacks are batched like component renders.
+   * @template T
+   * @param {(memory: UnwrappedMemory<MemoryType>, computed: ComputedType) => T} selector
+   * @param {(next: T, prev: T) => void} callback
+   * @param {{ equals?: (next: T, prev: T) => boolean }} [options]
+   * @returns {() => void} Stops the subscription
+   */
+  subscribe(selector, callback, { equals = Object.is } = {}) {
+    let isSubscribed = true
+
+    const select = () => {
+      const accessedPaths = new Set()
+      const selection = selector(
+        this._createAccessTrackingProxy(this._memory, accessedPaths),
+        this._createComputedReader((name) => accessedPaths.add(name)),
+      )
+
+      if (!this._isDisposed) this._listeners.set(listener, accessedPaths)
+      return unwrapTracked(selection)
+    }
+
+    // Subscribers run in the same flush as component renders, so an error
+    // here is reported instead of stopping the renders queued after it.
+    const listener = () => {
+      if (!isSubscribed || this._isDisposed) return
+
+      try {
+        const previous = current
+        const next = select()
+        if (equals(next, previous)) return
+
+        current = next
+        callback(next, previous)
+      } catch (error) {
+        console.error('Humn: Error in a Cortex subscriber.', error)
       }
+    }
 
-      this._notifyRelevantListeners(changedPaths)
+    let current = select()
+
+    return () => {
+      isSubscribed = false
+      this._listeners.delete(listener)
     }
+  }
 
-    /** @type {SynapsesType} */
-    this.synapses = synapses(set, get)
+  /**
+   * Wraps each synapse so writes made while it runs are attributed to it and
+   * batched. Async synapses are covered until their first `await`.
+   */
+  _wrapSynapses(synapses) {
+    const named = { ...synapses }
+
+    Object.entries(synapses).forEach(([name, synapse]) => {
+      if (typeof synapse !== 'function') return
+
+      named[name] = (...args) => {
+        const previousSynapse = this._activeSynapse
+        this._activeSynapse = name
+
+        try {
+          return this.batch(() => synapse(...args))
+        } finally {
+          this._activeSynapse = previousSynapse
+        }
+      }
+    })
+
+    return named
+  }
+
+  /**
+   * Passes an update through each middleware in turn, then commits it.
+   */
+  _applyMiddleware(update, index = 0) {
+    if (index === this._middleware.length) {
+      if (isDev) this._reportInvalidUpdate(update)
+      this._commit(update.nextState, update.changedPaths)
+      return
+    }
+
+    this._middleware[index](update, (nextState = update.nextState) => {
+      const nextUpdate =
+        nextState === update.nextState
+          ? update
+          : {
+              ...update,
+              changedPaths: collectChangedPaths(update.prevState, nextState),
+              nextState,
+            }
+
+      this._applyMiddleware(nextUpdate, index + 1)
+    })
+  }
+
+  /**
+   * Applies a new memory tree. Outside a batch it is settled straight away;
+   * inside one, its paths are collected and settled when the batch ends.
+   */
+  _commit(
+    nextState,
+    changedPaths,
+    { isUndoable = true, shouldSave = true } = {},
+  ) {
+    if (this._isDisposed) {
+      if (isDev) console.warn('Humn: Cannot update a disposed Cortex.')
+      return
+    }
+
+    const previousState = this._memory
+    this._memory = nextState
+
+    // Computed values are invalidated eagerly so reads inside a batch see the
+    // batch's own writes.
+    const notifiedPaths = this._invalidateComputed(changedPaths)
+
+    const batch = this._batch
+    if (batch) {
+      changedPaths.forEach((path) => batch.changedPaths.add(path))
+      notifiedPaths.forEach((path) => batch.notifiedPaths.add(path))
+      if (isUndoable) batch.isUndoable = true
+      return
+    }
+
+    this._settle({
+      changedPaths,
+      isUndoable,
+      notifiedPaths,
+      previousState,
+      shouldSave,
+    })
+  }
+
+  /**
+   * Records history, persists dirty keys and notifies listeners for memory
+   * that has already been applied.
+   */
+  _settle({
+    changedPaths,
+    isUndoable,
+    notifiedPaths,
+    previousState,
+    shouldSave,
+  }) {
+    if (isUndoable)
+      recordHistory(this._history, previousState, this._memory, changedPaths)
+    if (shouldSave) this._saveDirtyKeys(changedPaths)
+
+    if (syncHistoryFlags(this._history)) notifiedPaths.add(HISTORY_PATH)
+
+    this._notifyRelevantListeners(notifiedPaths)
+  }
+
+  _saveDirtyKeys(changedPaths) {
+    this._persistenceMap.forEach((entry, stateKey) => {
+      if (isPersistedKeyDirty(entry, changedPaths))
+        savePersistedKey(entry, this._memory[stateKey])
+    })
+  }
+
+  // Applies the values of an undo or redo step without recording it again.
+  _travelHistory(values) {
+    if (!values) return
+
+    const nextState = { ...this._memory, ...values }
+    this._commit(nextState, collectChangedPaths(this._memory, nextState), {
+      isUndoable: false,
+    })
+  }
+
+  _notifyHistoryFlags() {
+    if (syncHistoryFlags(this._history))
+      this._notifyRelevantListeners(new Set([HISTORY_PATH]))
+  }
+
+  /**
+   * Marks computed values whose dependencies changed as dirty, including
+   * values that depend on other dirty computed values. Returns the changed
+   * paths plus the names of the dirtied values, so their readers re-render.
+   */
+  _invalidateComputed(changedPaths) {
+    const notifiedPaths = new Set(changedPaths)
+    let hasNewlyDirty = true
+
+    while (hasNewlyDirty) {
+      hasNewlyDirty = false
+
+      this._computed.forEach((entry, name) => {
+        if (entry.isDirty) return
+
+        const isAffected = Array.from(entry.dependencies).some((dependency) =>
+          Array.from(notifiedPaths).some((path) =>
+            pathsOverlap(dependency, path),
+          ),
+        )
+        if (!isAffected) return
+
+        entry.isDirty = true
+        notifiedPaths.add(name)
+        hasNewlyDirty = true
+      })
+    }
+
+    return notifiedPaths
+  }
+
+  /**
+   * Returns the cached value of a computed, recomputing it first when dirty.
+   */
+  _evaluateComputed(name) {
+    const entry = this._computed.get(name)
+    if (!entry.isDirty) return entry.value
+
+    if (entry.isEvaluating)
+      throw new Error(`Humn: Computed value '${name}' depends on itself.`)
+
+    const dependencies = new Set()
+    entry.isEvaluating = true
+
+    try {
+      const value = entry.getter(
+        this._createAccessTrackingProxy(this._memory, dependencies),
+        this._createComputedReader((dependency) =>
+          dependencies.add(dependency),
+        ),
+      )
+      entry.value = unwrapTracked(value)
+      entry.dependencies = dependencies
+      entry.isDirty = false
+    } finally {
+      entry.isEvaluating = false
+    }
+
+    return entry.value
+  }
+
+  /**
+   * Creates an object with a getter per computed value. `onRead` records the
+   * read, either for a rendering component or for another computed value.
+   */
+  _createComputedReader(onRead) {
+    const reader = {}
+
+    this._computed.forEach((_entry, name) => {
+      Object.defineProperty(reader, name, {
+        enumerable: true,
+        get: () => {
+          onRead(name)
+          return this._evaluateComputed(name)
+        },
+      })
+    })
+
+    return reader
   }
 
   /**
@@ -226,25 +962,13 @@ export class Cortex {
   }
 
   /**
-   * Only notify listeners that read properties which changed
+   * Only notify listeners that read properties which changed. The dependency
+   * index finds them without visiting listeners of unrelated paths.
    */
   _notifyRelevantListeners(changedPaths) {
-    const listeners = Array.from(this._listeners.entries())
-
-    listeners.forEach(([renderFn, accessedPaths]) => {
-      const shouldNotify = Array.from(accessedPaths).some((accessedPath) => {
-        return Array.from(changedPaths).some((changedPath) => {
-          // Check for exact match or parent/child relationship
-          return (
-            accessedPath === changedPath ||
-            accessedPath.startsWith(changedPath + '.') ||
-            changedPath.startsWith(accessedPath + '.')
-          )
-        })
-      })
-
-      if (shouldNotify) queueRender(renderFn)
-    })
+    this._listeners
+      .match(changedPaths)
+      .forEach((listener) => queueRender(listener))
   }
 
   /**
@@ -260,6 +984,8 @@ export class Cortex {
 
     return new Proxy(obj, {
       get: (target, prop) => {
+        if (prop === TRACKED_TARGET) return target
+
         // We don't care about prototype and symbol properties
         if (typeof prop === 'symbol' || prop === '__proto__')
           return target[prop]
@@ -282,19 +1008,24 @@ export class Cortex {
    * @returns {UnwrappedMemory<MemoryType>}
    */
   get memory() {
-    const currentObserver = getObserver()
+    const accessedPaths = this._getObserverPaths()
+    if (!accessedPaths) return this._memory
 
-    if (!currentObserver) return this._memory
+    return this._createAccessTrackingProxy(this._memory, accessedPaths)
+  }
 
-    if (!this._listeners.has(currentObserver))
-      this._listeners.set(currentObserver, new Set())
+  /**
+   * Subscribes the current observer, if any, and returns the collector its
+   * accessed paths are added to.
+   */
+  _getObserverPaths() {
+    const currentObserver = getObserver()
+    if (!currentObserver || this._isDisposed) return null
 
     if (!currentObserver.__humnCortexes)
       currentObserver.__humnCortexes = new Set()
     currentObserver.__humnCortexes.add(this)
 
-    const accessedPaths = this._listeners.get(currentObserver)
-
-    return this._createAccessTrackingProxy(this._memory, accessedPaths)
+    return this._listeners.track(currentObserver)
   }
 }
@@ -2,9 +2,9 @@
  * @file Runtime Scoped CSS implementation using Native CSS Nesting.
  * @module css
  */
+import { hasStyleRule, registerStyleRule } from './runtime/style-registry.js'
 
 let styleSheet = null
-const cache = new Set()
 
 /**
  * Simple DJB2 hashing function.
@@ -30,6 +30,20 @@ function minify(css) {
     .trim() // Remove leading/trailing
 }
 
+/**
+ * Adopts the `<style id="humn-styles">` emitted by server rendering, or
+ * creates one in the head when the page has none.
+ */
+function getStyleSheet() {
+  const existing = document.getElementById('humn-styles')
+  if (existing) return existing
+
+  const element = document.createElement('style')
+  element.id = 'humn-styles'
+  document.head.appendChild(element)
+  return element
+}
+
 /**
  * Scoped CSS Tag.
  * Wraps content in a unique class using Native CSS Nesting.
@@ -76,20 +90,24 @@ export function css(stringsOrStr, ...args) {
   const hash = hashString(content)
   const hashedClassName = `humn-${hash}`
 
-  if (cache.has(hash)) {
+  if (hasStyleRule(hash)) {
     return hashedClassName
   }
 
-  if (!styleSheet) {
-    styleSheet = document.createElement('style')
-    styleSheet.id = 'humn-styles'
-    document.head.appendChild(styleSheet)
-  }
-
-  styleSheet.textContent += `.${hashedClassName} { 
+  const rule = `.${hashedClassName} { 
     ${content} 
   }\n`
-  cache.add(hash)
+  registerStyleRule(hash, rule)
+
+  // On the server there is no document; the registry is read at render time.
+  if (typeof document === 'undefined') return hashedClassName
+
+  styleSheet ??= getStyleSheet()
+
+  // A server-rendered sheet already holds the rules used by the first render.
+  if (!styleSheet.textContent.includes(`.${hashedClassName} {`)) {
+    styleSheet.textContent += rule
+  }
 
   return hashedClassName
 }
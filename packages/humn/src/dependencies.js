@@ -0,0 +1,148 @@
+/**
+ * @file The index Cortex uses to find the listeners that read a changed path.
+ * Dotted paths are stored as a trie, so an update visits only the nodes along
+ * each changed path, however many listeners and paths are registered.
+ * @module dependencies
+ */
+
+function createNode(parent, segment) {
+  return {
+    children: new Map(),
+    listeners: new Set(),
+    parent,
+    segment,
+    // How many paths each listener reads at or below this node, so a whole
+    // subtree's listeners are found without walking it.
+    subtreeCounts: new Map(),
+  }
+}
+
+/**
+ * @typedef {object} DependencyIndex
+ * @property {number} size - The number of registered listeners
+ * @property {(listener: Function) => { add: (path: string) => void }} track
+ *   Registers a listener and returns a collector for the paths it reads
+ * @property {(listener: Function, paths: Iterable<string>) => void} set
+ *   Replaces the paths a listener reads
+ * @property {(listener: Function) => boolean} delete
+ * @property {() => void} clear
+ * @property {(callback: (listener: Function) => void) => void} forEach
+ * @property {(changedPaths: Iterable<string>) => Function[]} match
+ *   The listeners that read a path equal to, inside or containing one of the
+ *   changed paths, in the order they were registered
+ */
+
+/**
+ * Creates an empty dependency index.
+ * @returns {DependencyIndex}
+ */
+export function createDependencyIndex() {
+  const root = createNode(null, '')
+  // Each listener's trie nodes, so it can be removed without a search, and
+  // its registration order, so listeners are notified in a stable order.
+  const entries = new Map()
+  let nextSequence = 0
+
+  const getEntry = (listener) => {
+    if (!entries.has(listener))
+      entries.set(listener, { nodes: new Map(), sequence: nextSequence++ })
+
+    return entries.get(listener)
+  }
+
+  const addPath = (listener, entry, path) => {
+    if (entry.nodes.has(path)) return
+
+    let node = root
+    path.split('.').forEach((segment) => {
+      if (!node.children.has(segment))
+        node.children.set(segment, createNode(node, segment))
+      node = node.children.get(segment)
+    })
+
+    node.listeners.add(listener)
+    entry.nodes.set(path, node)
+
+    for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+      const count = ancestor.subtreeCounts.get(listener) || 0
+      ancestor.subtreeCounts.set(listener, count + 1)
+    }
+  }
+
+  const removePaths = (listener, entry) => {
+    entry.nodes.forEach((node) => {
+      node.listeners.delete(listener)
+
+      for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+        const count = ancestor.subtreeCounts.get(listener) - 1
+        if (count > 0) ancestor.subtreeCounts.set(listener, count)
+        else ancestor.subtreeCounts.delete(listener)
+      }
+
+      // Prune branches nothing reads any more, such as paths of removed rows.
+      while (node.parent && node.subtreeCounts.size === 0) {
+        node.parent.children.delete(node.segment)
+        node = node.parent
+      }
+    })
+    entry.nodes.clear()
+  }
+
+  const collectMatches = (path, matches) => {
+    let node = root
+    const segments = path.split('.')
+
+    for (let index = 0; index < segments.length; index++) {
+      // Listeners on an ancestor read a value that contains the changed path.
+      node.listeners.forEach((listener) => matches.add(listener))
+      node = node.children.get(segments[index])
+      if (!node) return
+    }
+
+    node.subtreeCounts.forEach((_count, listener) => matches.add(listener))
+  }
+
+  return {
+    get size() {
+      return entries.size
+    },
+
+    track: (listener) => {
+      const entry = getEntry(listener)
+      return { add: (path) => addPath(listener, entry, path) }
+    },
+
+    set: (listener, paths) => {
+      const entry = getEntry(listener)
+      removePaths(listener, entry)
+      Array.from(paths).forEach((path) => addPath(listener, entry, path))
+    },
+
+    delete: (listener) => {
+      const entry = entries.get(listener)
+      if (!entry) return false
+
+      removePaths(listener, entry)
+      return entries.delete(listener)
+    },
+
+    clear: () => {
+      entries.clear()
+      root.children.clear()
+      root.subtreeCounts.clear()
+    },
+
+    forEach: (callback) =>
+      entries.forEach((_entry, listener) => callback(listener)),
+
+    match: (changedPaths) => {
+      const matches = new Set()
+      Array.from(changedPaths).forEach((path) => collectMatches(path, matches))
+
+      return Array.from(matches).sort(
+        (first, second) =>
+          entries.get(first).sequence - entries.get(second).sequence,
+      )
+    },
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * @file A component that contains errors thrown by its children.
+ * @module error-boundary
+ */
+import { Fragment, h } from './h.js'
+import { onError } from './lifecycle.js'
+
+/**
+ * @typedef {object} ErrorBoundaryProps
+ * @property {any|function(Error, function): any} fallback - Rendered in place
+ *   of the children after an error. A function receives the error and a
+ *   `reset` callback that renders the children again.
+ * @property {function(Error): void} [onError] - Called with every caught error,
+ *   e.g. to report it.
+ */
+
+/**
+ * Renders its children until one of them throws while rendering, updating or
+ * running a lifecycle hook, then renders `fallback` instead.
+ * @param {ErrorBoundaryProps} props
+ * @param {Array} children - The VNodes to protect.
+ * @returns {object}
+ */
+export function ErrorBoundary(props, children) {
+  onError((error, reset) => {
+    props.onError?.(error)
+
+    return typeof props.fallback === 'function'
+      ? props.fallback(error, reset)
+      : props.fallback
+  })
+
+  return h(Fragment, {}, children)
+}
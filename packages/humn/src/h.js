@@ -1,15 +1,29 @@
 /**
  * @typedef {object} VNode
- * @property {string} tag
+ * @property {string|symbol|function} tag
  * @property {object} props
  * @property {VNode[]} children
  */
 
+/**
+ * Groups children without adding a wrapper element to the DOM.
+ * Use it as a tag: `h(Fragment, {}, [h('li', {}, 'One'), h('li', {}, 'Two')])`.
+ */
+export const Fragment = Symbol.for('humn.fragment')
+
+/**
+ * Renders children into another DOM container, such as `document.body`,
+ * while they stay part of the component tree that rendered them.
+ * Use it as a tag: `h(Portal, { target: document.body }, h(Modal))`.
+ * `target` may be an element or a selector.
+ */
+export const Portal = Symbol.for('humn.portal')
+
 /**
  * Creates a virtual DOM node.
  * This is a hyperscript-like function.
  *
- * @param {string} tag - The tag name of the element.
+ * @param {string|symbol|function} tag - The tag name, Fragment or a component.
  * @param {object} props - The properties of the element.
  * @param {VNode[]|VNode} children - The children of the element.
  * @returns {VNode} The virtual DOM node.
@@ -0,0 +1,124 @@
+/**
+ * @file Undo and redo stacks for Cortex keys wrapped in undoable().
+ * @module history
+ */
+
+import { pathsOverlap } from './paths.js'
+
+const DEFAULT_HISTORY_LIMIT = 100
+
+/**
+ * Creates empty undo and redo stacks. Each entry holds the `before` and
+ * `after` values of the undoable keys one change touched.
+ */
+export function createHistory() {
+  return {
+    flags: 'false:false',
+    future: [],
+    group: null,
+    groupDepth: 0,
+    keys: new Set(),
+    limit: Infinity,
+    past: [],
+  }
+}
+
+/**
+ * Tracks an undoable key. The smallest limit of any key applies to the whole
+ * history, since one entry can cover several keys.
+ */
+export function addUndoableKey(history, key, undoable) {
+  history.keys.add(key)
+  history.limit = Math.min(
+    history.limit,
+    undoable.config?.limit ?? DEFAULT_HISTORY_LIMIT,
+  )
+}
+
+/**
+ * Records the previous and new values of undoable keys touched by a commit.
+ * Memory is copy-on-write, so entries share structure with live memory.
+ */
+export function recordHistory(history, previousState, nextState, changedPaths) {
+  const keys = Array.from(history.keys).filter((key) =>
+    Array.from(changedPaths).some((path) => pathsOverlap(path, key)),
+  )
+  if (keys.length === 0) return
+
+  const entry = history.group || { after: {}, before: {} }
+
+  keys.forEach((key) => {
+    if (!(key in entry.before)) entry.before[key] = previousState[key]
+    entry.after[key] = nextState[key]
+  })
+
+  history.future = []
+  if (entry !== history.group) pushEntry(history, entry)
+}
+
+function pushEntry(history, entry) {
+  history.past.push(entry)
+  if (history.past.length > history.limit) history.past.shift()
+}
+
+/**
+ * Moves the newest undo entry onto the redo stack.
+ * @returns {object | null} The values to restore, if there was an entry
+ */
+export function undoHistory(history) {
+  const entry = history.past.pop()
+  if (!entry) return null
+
+  history.future.push(entry)
+  return entry.before
+}
+
+/**
+ * Moves the newest redo entry back onto the undo stack.
+ * @returns {object | null} The values to reapply, if there was an entry
+ */
+export function redoHistory(history) {
+  const entry = history.future.pop()
+  if (!entry) return null
+
+  history.past.push(entry)
+  return entry.after
+}
+
+export function clearHistory(history) {
+  history.past = []
+  history.future = []
+}
+
+/**
+ * Runs `fn` with every change it records collected into one entry. Nested
+ * groups join the outermost one.
+ */
+export function groupHistory(history, fn) {
+  if (history.groupDepth === 0) history.group = { after: {}, before: {} }
+  history.groupDepth++
+
+  try {
+    return fn()
+  } finally {
+    history.groupDepth--
+
+    if (history.groupDepth === 0) {
+      const entry = history.group
+      history.group = null
+      if (Object.keys(entry.before).length > 0) pushEntry(history, entry)
+    }
+  }
+}
+
+/**
+ * Updates the stored canUndo/canRedo pair, returning true when it changed
+ * so readers of those flags are re-rendered.
+ */
+export function syncHistoryFlags(history) {
+  const flags = `${history.past.length > 0}:${history.future.length > 0}`
+  if (flags === history.flags) return false
+
+  history.flags = flags
+  return true
+}
@@ -4,10 +4,20 @@
  * @module humn
  */
 
+export * from './context.js'
 export * from './cortex.js'
 export * from './css.js'
+export * from './error-boundary.js'
 export * from './h.js'
 export * from './lifecycle.js'
+export * from './local-memory.js'
 export * from './mount.js'
 export * from './persist.js'
+export * from './ref.js'
+export * from './render-to-string.js'
 export * from './resource.js'
+export * from './schema.js'
+export * from './serialization.js'
+export * from './state-transfer.js'
+export * from './storage.js'
+export * from './undoable.js'
@@ -25,3 +25,41 @@ export function onCleanup(fn) {
     instance.cleanups.push(fn)
   }
 }
+
+/**
+ * Registers a callback to run before the component's DOM is patched by an
+ * update, e.g. to read the scroll position the update is about to change.
+ * @param {function} fn - The callback function.
+ */
+export function onBeforeUpdate(fn) {
+  const instance = getInstance()
+  if (instance) {
+    instance.beforeUpdates.push(fn)
+  }
+}
+
+/**
+ * Registers a callback to run after the component's DOM has been patched by
+ * an update caused by a Cortex change or by its parent re-rendering.
+ * @param {function} fn - The callback function.
+ */
+export function onUpdate(fn) {
+  const instance = getInstance()
+  if (instance) {
+    instance.updates.push(fn)
+  }
+}
+
+/**
+ * Makes the component an error boundary for its descendants.
+ * The callback receives errors thrown while a descendant renders or runs a
+ * lifecycle hook, plus a `reset` function that renders the children again.
+ * Whatever it returns is rendered in place of the children.
+ * @param {function(Error, function): any} fn - The error handler.
+ */
+export function onError(fn) {
+  const instance = getInstance()
+  if (instance) {
+    instance.errors.push(fn)
+  }
+}
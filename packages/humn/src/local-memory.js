@@ -0,0 +1,97 @@
+/**
+ * @file Component-local reactive state.
+ * @module local-memory
+ */
+import { Cortex } from './cortex.js'
+import { getComponentInstance, getInstance } from './observer.js'
+import { isPlainContainer } from './plain-objects.js'
+
+function readPath(source, path) {
+  return path.reduce((value, key) => value?.[key], source)
+}
+
+/**
+ * Wraps a path of the cortex memory so reads are tracked like
+ * `cortex.memory` and assignments are applied through `set`.
+ */
+function createWritableProxy(cortex, set, path = []) {
+  const read = () => readPath(cortex.memory, path)
+  const target = Array.isArray(readPath(cortex._memory, path)) ? [] : {}
+
+  const update = (change) =>
+    set((draft) => {
+      change(path.length ? readPath(draft, path) : draft)
+    })
+
+  return new Proxy(target, {
+    get: (_target, prop) => {
+      const value = read()?.[prop]
+      if (typeof prop === 'symbol' || !isPlainContainer(value)) return value
+
+      return createWritableProxy(cortex, set, [...path, prop])
+    },
+    set: (_target, prop, value) => {
+      update((draft) => {
+        draft[prop] = value
+      })
+      return true
+    },
+    deleteProperty: (_target, prop) => {
+      update((draft) => {
+        delete draft[prop]
+      })
+      return true
+    },
+    has: (_target, prop) => prop in read(),
+    ownKeys: () => Reflect.ownKeys(read()),
+    getOwnPropertyDescriptor: (_target, prop) =>
+      Reflect.getOwnPropertyDescriptor(read(), prop),
+  })
+}
+
+function createLocalMemory(initial) {
+  let set
+  const cortex = new Cortex({
+    memory: typeof initial === 'function' ? initial() : { ...initial },
+    synapses: (cortexSet) => {
+      set = cortexSet
+      return {}
+    },
+  })
+
+  return {
+    state: createWritableProxy(cortex, set),
+    dispose: () => cortex.dispose(),
+  }
+}
+
+/**
+ * Creates state that belongs to one component instance. Reading it during
+ * render subscribes the component, and assigning to it (at any depth)
+ * re-renders only that component. The same object is returned on every
+ * render of the instance, and it is discarded when the component unmounts.
+ *
+ * Call it unconditionally while the component renders, like other hooks:
+ * state is matched to calls by their order.
+ *
+ * @template {object} T
+ * @param {T | (() => T)} initial - The initial state, or a function creating it.
+ * @returns {T}
+ */
+export function useMemory(initial) {
+  const instance = getComponentInstance()
+  const hooks = getInstance()
+
+  if (!instance || !hooks)
+    throw new Error(
+      'Humn: useMemory() must be called while a component renders.',
+    )
+
+  const slot = hooks.memories.length
+  if (!instance.memories) instance.memories = []
+  if (!instance.memories[slot])
+    instance.memories[slot] = createLocalMemory(initial)
+
+  hooks.memories.push(instance.memories[slot])
+  return instance.memories[slot].state
+}
@@ -2,26 +2,125 @@
  * @file Mounts the application to the DOM.
  * @module mount
  */
+import { getNodeCount } from './runtime/dom-range.js'
+import { hydrateRoot } from './runtime/hydrate.js'
 import { patch } from './runtime/patch.js'
 
+/**
+ * A handle to a mounted application root.
+ * @typedef {object} MountedRoot
+ * @property {HTMLElement} root - The DOM element the app is mounted into.
+ * @property {(props?: object) => void} update - Re-renders the root component with new props.
+ * @property {() => void} unmount - Removes the app, running cleanup hooks and releasing Cortex listeners.
+ */
+
+// The roots mounted into each target, in document order. A target can host
+// several roots, e.g. widgets mounted into the same `document.body`.
+const mountedRoots = new WeakMap()
+
+function createRootVNode(Component, props) {
+  return {
+    tag: Component,
+    props,
+    children: [],
+  }
+}
+
+// A root's nodes follow the content that was already in the target when it
+// mounted and the nodes of earlier roots. Those roots can grow or shrink as
+// they re-render, so the start index is worked out before every patch.
+function getRootIndex(roots, root) {
+  let index = root.offset
+
+  for (const other of roots) {
+    if (other === root) break
+    index += getNodeCount(other.vNode)
+  }
+
+  return index
+}
+
+function createRoot({ attach, Component, index, props, target }) {
+  if (!mountedRoots.has(target)) mountedRoots.set(target, [])
+  const roots = mountedRoots.get(target)
+
+  const root = {
+    offset: roots.reduce(
+      (offset, other) => offset - getNodeCount(other.vNode),
+      index,
+    ),
+    vNode: createRootVNode(Component, props),
+  }
+  roots.push(root)
+  attach(root.vNode)
+
+  /** @type {MountedRoot} */
+  const handle = {
+    root: target,
+    update(nextProps = {}) {
+      if (!root.vNode) return
+
+      const nextVNode = createRootVNode(Component, nextProps)
+      patch(target, nextVNode, root.vNode, getRootIndex(roots, root))
+      root.vNode = nextVNode
+    },
+    unmount() {
+      if (!root.vNode) return
+
+      patch(target, null, root.vNode, getRootIndex(roots, root))
+      roots.splice(roots.indexOf(root), 1)
+      root.vNode = null
+    },
+  }
+
+  return handle
+}
+
 /**
  * Mounts a component to a target DOM element.
+ * Existing children of the target, including other mounted roots, are left
+ * in place, so widgets can be embedded into pages that Humn does not own.
  * @param {HTMLElement} target - The DOM element to mount to.
  * @param {function} Component - The root component function.
+ * @param {object} [props] - Props passed to the root component.
+ * @returns {MountedRoot}
  */
-export const mount = (target, Component) => {
-  let prevVNode = null
-
-  const lifecycle = () => {
-    const nextVNode = {
-      tag: Component,
-      props: {},
-      children: [],
-    }
-
-    patch(target, nextVNode, prevVNode)
-    prevVNode = nextVNode
-  }
+export const mount = (target, Component, props = {}) => {
+  const index = target.childNodes.length
+
+  return createRoot({
+    attach: (rootVNode) => patch(target, rootVNode, null, index),
+    Component,
+    index,
+    props,
+    target,
+  })
+}
+
+/**
+ * Mounts a component onto markup produced by renderToString, reusing the
+ * existing DOM nodes and attaching event listeners and component instances.
+ * In development, differences between the server and client markup are
+ * reported with console.warn and repaired in place. Nodes after the root's
+ * own markup, such as other roots or legacy content, are left untouched.
+ * @param {HTMLElement} target - The DOM element holding the server markup.
+ * @param {function} Component - The root component function.
+ * @param {object} [props] - Props passed to the root component.
+ * @returns {MountedRoot}
+ */
+export const hydrate = (target, Component, props = {}) => {
+  // Server markup starts the target, after any roots already hydrated there.
+  const roots = mountedRoots.get(target) || []
+  const lastRoot = roots[roots.length - 1]
+  const index = lastRoot
+    ? getRootIndex(roots, lastRoot) + getNodeCount(lastRoot.vNode)
+    : 0
 
-  lifecycle()
+  return createRoot({
+    attach: (rootVNode) => hydrateRoot(target, rootVNode, index),
+    Component,
+    index,
+    props,
+    target,
+  })
 }
@@ -5,6 +5,7 @@
 
 let currentObserver = null // For Cortex/State dependency
 let currentInstance = null // For Lifecycle Hooks
+let currentComponent = null // For finding a component's ancestors
 
 /**
  * Gets the current observer (render function).
@@ -41,3 +42,17 @@ export const getInstance = () => currentInstance
 export const setInstance = (inst) => {
   currentInstance = inst
 }
+
+/**
+ * Gets the component instance whose subtree is being rendered.
+ * @returns {object|null}
+ */
+export const getComponentInstance = () => currentComponent
+
+/**
+ * Sets the component instance whose subtree is being rendered.
+ * @param {object|null} component
+ */
+export const setComponentInstance = (component) => {
+  currentComponent = component
+}
@@ -0,0 +1,19 @@
+/**
+ * @file Helpers for the dotted paths Cortex uses to name parts of memory,
+ * such as `user.profile.theme`.
+ * @module paths
+ */
+
+/**
+ * Two dotted paths overlap when they are equal or one contains the other.
+ * @param {string} first
+ * @param {string} second
+ * @returns {boolean}
+ */
+export function pathsOverlap(first, second) {
+  return (
+    first === second ||
+    first.startsWith(second + '.') ||
+    second.startsWith(first + '.')
+  )
+}
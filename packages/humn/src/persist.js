@@ -4,19 +4,45 @@
  * @typedef {object} Persisted
  * @property {T} initial
  * @property {boolean} __humn_persist
- * @property {PersistConfig} [config]
+ * @property {PersistConfig<T>} [config]
  */
 
 /**
+ * @template [T=any]
  * @typedef {object} PersistConfig
- * @property {string} key
+ * @property {string} [key] - The storage key. Defaults to the memory key.
+ * @property {import('./storage.js').StorageAdapter} [storage] - Where the
+ *   value is kept. Defaults to localStorage.
+ * @property {(value: T) => string} [serialize] - Defaults to JSON.stringify
+ * @property {(text: string) => T} [deserialize] - Defaults to JSON.parse
+ * @property {number} [version] - The shape version of the value. Stored
+ *   values from another version are passed to `migrate` when loaded.
+ * @property {(oldValue: any, oldVersion: number) => T} [migrate] - Converts
+ *   a stored value to the current version. Values stored without a version
+ *   count as version 0.
+ * @property {boolean} [sync] - Applies the value when another tab saves it.
+ * @property {number} [ttl] - How many milliseconds a saved value lasts.
+ *   Older values are discarded when loaded.
+ * @property {Date | number} [expiresAt] - When saved values stop being
+ *   loaded. Ignored when `ttl` is set.
+ * @property {number} [debounce] - Waits until the value has not changed for
+ *   this many milliseconds before saving it.
+ * @property {boolean} [idle] - Saves when the browser is idle.
+ * @property {string[]} [include] - Dotted paths inside the value to save.
+ *   Others start from `initial` when loaded.
+ * @property {string[]} [exclude] - Dotted paths inside the value not to save.
+ * @property {number} [maxSize] - The most characters to save. Larger values
+ *   are not saved and are reported as errors.
+ * @property {(error: Error, context: { key: string }) => void} [onError] -
+ *   Called when saving fails, e.g. because storage is full
  */
 
 /**
- * Marks a section of the state for persistence in localStorage.
+ * Marks a section of the state for persistence, in localStorage unless
+ * another storage adapter is given.
  * @template T
  * @param {T} initial
- * @param {PersistConfig} [config]
+ * @param {PersistConfig<T>} [config]
  * @returns {Persisted<T>}
  */
 export const persist = (initial, config = {}) => ({
@@ -0,0 +1,434 @@
+/**
+ * @file Reads and writes persisted Cortex keys through their storage adapter.
+ * @module persistence
+ */
+
+import { pathsOverlap } from './paths.js'
+import { isPlainObject } from './plain-objects.js'
+
+const isDev = import.meta.env?.DEV || false
+// Values with a version or lifetime are stored as
+// { [META_KEY]: { version, expiresAt }, value }.
+const META_KEY = '__humn_meta'
+// The longest an idle-time write waits for the browser to become idle.
+const IDLE_WRITE_TIMEOUT = 2000
+
+/**
+ * @param {unknown} value
+ * @returns {value is PromiseLike<any>}
+ */
+export function isThenable(value) {
+  return typeof (/** @type {any} */ (value)?.then) === 'function'
+}
+
+/**
+ * Resolves the persist() config of one memory key.
+ * @param {string} stateKey
+ * @param {import('./persist.js').Persisted<any>} persisted
+ */
+export function createPersistedKey(stateKey, persisted) {
+  const config = persisted.config || {}
+
+  return {
+    cancelScheduledWrite: null,
+    debounce: config.debounce || 0,
+    deserialize: config.deserialize || JSON.parse,
+    exclude: config.exclude || null,
+    expiresAt: config.expiresAt ?? null,
+    idle: config.idle || false,
+    include: config.include || null,
+    initial: persisted.initial,
+    maxSize: config.maxSize ?? Infinity,
+    migrate: config.migrate || null,
+    onError: config.onError || null,
+    pendingWrite: null,
+    serialize: config.serialize || JSON.stringify,
+    stateKey,
+    storage: config.storage || null,
+    storageKey: config.key || stateKey,
+    sync: config.sync || false,
+    syncChannel: null,
+    ttl: config.ttl ?? null,
+    version: config.version,
+  }
+}
+
+/**
+ * @typedef {ReturnType<typeof createPersistedKey>} PersistedKey
+ */
+
+// Looked up on use: `localStorage` does not exist during server rendering,
+// and reading it then is reported like any other failed load.
+function getStorage(entry) {
+  return entry.storage || localStorage
+}
+
+/**
+ * Reads the stored value of a key, falling back to its initial value when
+ * nothing is stored or it cannot be read. Async adapters return a promise.
+ * @param {PersistedKey} entry
+ * @returns {unknown}
+ */
+export function loadPersistedKey(entry) {
+  try {
+    const stored = getStorage(entry).getItem(entry.storageKey)
+    if (!isThenable(stored)) return decodeStoredValue(entry, stored)
+
+    return Promise.resolve(stored).then(
+      (text) => decodeStoredValue(entry, text),
+      (err) => handleLoadError(entry, err),
+    )
+  } catch (err) {
+    return handleLoadError(entry, err)
+  }
+}
+
+function decodeStoredValue(entry, text) {
+  if (text === null || text === undefined) return entry.initial
+
+  let stored
+  try {
+    stored = entry.deserialize(text)
+  } catch (err) {
+    return handleLoadError(entry, err)
+  }
+
+  const { meta, value } = unwrapStoredValue(stored)
+  if (isExpired(meta)) {
+    removeStoredValue(entry)
+    return entry.initial
+  }
+
+  if (entry.version === undefined) return restoreUnstoredPaths(entry, value)
+
+  // Values saved before versioning was added count as version 0.
+  const storedVersion = meta.version ?? 0
+  if (storedVersion === entry.version) return restoreUnstoredPaths(entry, value)
+
+  return migrateStoredValue(entry, value, storedVersion)
+}
+
+function isExpired(meta) {
+  return meta.expiresAt !== undefined && Date.now() >= meta.expiresAt
+}
+
+function unwrapStoredValue(stored) {
+  const isWrapped =
+    stored !== null && typeof stored === 'object' && META_KEY in stored
+  if (!isWrapped) return { meta: {}, value: stored }
+
+  return { meta: stored[META_KEY], value: stored.value }
+}
+
+function migrateStoredValue(entry, value, storedVersion) {
+  try {
+    if (!entry.migrate)
+      throw new Error(`No migrate function for version ${storedVersion}.`)
+
+    const migrated = restoreUnstoredPaths(
+      entry,
+      entry.migrate(value, storedVersion),
+    )
+    // Saving straight away means the migration only runs once.
+    savePersistedKey(entry, migrated)
+    return migrated
+  } catch (err) {
+    if (isDev)
+      console.warn(
+        `Humn: Failed to migrate '${entry.stateKey}' from version ${storedVersion} to ${entry.version}. Using its initial value.`,
+        err,
+      )
+    return entry.initial
+  }
+}
+
+function handleLoadError(entry, err) {
+  if (isDev)
+    console.warn(`Humn: Failed to load '${entry.stateKey}' from storage.`, err)
+  return entry.initial
+}
+
+/**
+ * Whether any of the changed paths is stored for a key. Changes to paths the
+ * include/exclude options leave out do not need a write.
+ * @param {PersistedKey} entry
+ * @param {Set<string>} changedPaths
+ * @returns {boolean}
+ */
+export function isPersistedKeyDirty(entry, changedPaths) {
+  const prefix = entry.stateKey + '.'
+
+  return Array.from(changedPaths).some((path) => {
+    if (path === entry.stateKey) return true
+    if (!path.startsWith(prefix)) return false
+
+    const innerPath = path.slice(prefix.length)
+    const isIncluded =
+      !entry.include ||
+      entry.include.some((included) => pathsOverlap(included, innerPath))
+    const isExcluded =
+      !!entry.exclude &&
+      entry.exclude.some(
+        (excluded) =>
+          innerPath === excluded || innerPath.startsWith(excluded + '.'),
+      )
+
+    return isIncluded && !isExcluded
+  })
+}
+
+/**
+ * Writes the value of a key to its storage, straight away or, with the
+ * debounce and idle options, once the scheduled write runs.
+ * @param {PersistedKey} entry
+ * @param {unknown} value
+ */
+export function savePersistedKey(entry, value) {
+  if (!entry.debounce && !entry.idle) {
+    writePersistedKey(entry, value)
+    return
+  }
+
+  const isScheduled = entry.pendingWrite !== null
+  entry.pendingWrite = { value }
+
+  // Idle writes keep their place in the queue, so constant updates cannot
+  // postpone them forever; debounced writes wait for a quiet period.
+  if (isScheduled && !entry.debounce) return
+
+  scheduleWrite(entry)
+}
+
+/**
+ * Writes a key's scheduled value now, if it has one.
+ * @param {PersistedKey} entry
+ */
+export function flushPersistedKey(entry) {
+  const pendingWrite = entry.pendingWrite
+  if (!pendingWrite) return
+
+  entry.cancelScheduledWrite?.()
+  entry.cancelScheduledWrite = null
+  entry.pendingWrite = null
+
+  writePersistedKey(entry, pendingWrite.value)
+}
+
+function scheduleWrite(entry) {
+  entry.cancelScheduledWrite?.()
+
+  const write = () => flushPersistedKey(entry)
+  if (!entry.debounce) {
+    entry.cancelScheduledWrite = runWhenIdle(write)
+    return
+  }
+
+  const timer = setTimeout(() => {
+    if (entry.idle) entry.cancelScheduledWrite = runWhenIdle(write)
+    else write()
+  }, entry.debounce)
+  entry.cancelScheduledWrite = () => clearTimeout(timer)
+}
+
+function runWhenIdle(callback) {
+  if (typeof requestIdleCallback !== 'function') {
+    const timer = setTimeout(callback, 0)
+    return () => clearTimeout(timer)
+  }
+
+  const handle = requestIdleCallback(callback, { timeout: IDLE_WRITE_TIMEOUT })
+  return () => cancelIdleCallback(handle)
+}
+
+function writePersistedKey(entry, value) {
+  try {
+    const storedValue = omitUnstoredPaths(entry, value)
+    const meta = createStoredMeta(entry)
+    const stored = meta ? { [META_KEY]: meta, value: storedValue } : storedValue
+    const text = entry.serialize(stored)
+
+    if (text.length > entry.maxSize)
+      throw new Error(
+        `Humn: '${entry.stateKey}' is ${text.length} characters, over its maxSize of ${entry.maxSize}. It was not saved.`,
+      )
+
+    const result = getStorage(entry).setItem(entry.storageKey, text)
+    entry.syncChannel?.postMessage(text)
+
+    if (isThenable(result))
+      Promise.resolve(result).catch((err) => handleSaveError(entry, err))
+  } catch (err) {
+    handleSaveError(entry, err)
+  }
+}
+
+function createStoredMeta(entry) {
+  const meta = {}
+  if (entry.version !== undefined) meta.version = entry.version
+  if (entry.ttl !== null) meta.expiresAt = Date.now() + entry.ttl
+  else if (entry.expiresAt !== null)
+    meta.expiresAt = new Date(entry.expiresAt).getTime()
+
+  return Object.keys(meta).length > 0 ? meta : null
+}
+
+/**
+ * Removes a key's stored value and cancels any scheduled write. Tabs syncing
+ * the key go back to its initial value.
+ * @param {PersistedKey} entry
+ * @returns {Promise<void>}
+ */
+export async function removePersistedKey(entry) {
+  entry.cancelScheduledWrite?.()
+  entry.cancelScheduledWrite = null
+  entry.pendingWrite = null
+
+  entry.syncChannel?.postMessage(null)
+  await removeStoredValue(entry)
+}
+
+async function removeStoredValue(entry) {
+  try {
+    await getStorage(entry).removeItem(entry.storageKey)
+  } catch (err) {
+    handleSaveError(entry, err)
+  }
+}
+
+// Quota and size errors lose data, so apps can report them with onError.
+// Without it they are logged in production too, rather than lost silently.
+function handleSaveError(entry, err) {
+  if (entry.onError) {
+    entry.onError(err, { key: entry.stateKey })
+    return
+  }
+
+  console.error(`Humn: Failed to save '${entry.stateKey}'.`, err)
+}
+
+// Include/exclude only apply to plain objects; other values are stored whole.
+function omitUnstoredPaths(entry, value) {
+  if (!isPlainObject(value)) return value
+
+  let stored = value
+  if (entry.include) stored = pickPaths(stored, entry.include)
+  if (entry.exclude)
+    entry.exclude.forEach((path) => {
+      stored = omitPath(stored, path.split('.'))
+    })
+
+  return stored
+}
+
+// Paths that were not stored start from the key's initial value.
+function restoreUnstoredPaths(entry, value) {
+  if (!entry.include && !entry.exclude) return value
+
+  return mergeIntoInitial(entry.initial, value)
+}
+
+function pickPaths(value, paths) {
+  const picked = {}
+
+  paths.forEach((path) => {
+    const keys = path.split('.')
+    const pickedValue = keys.reduce((node, key) => node?.[key], value)
+    if (pickedValue === undefined) return
+
+    const parent = keys
+      .slice(0, -1)
+      .reduce((node, key) => (node[key] ??= {}), picked)
+    parent[keys[keys.length - 1]] = pickedValue
+  })
+
+  return picked
+}
+
+// Copies only the objects along the path, so the rest stays shared.
+function omitPath(value, [key, ...rest]) {
+  if (!isPlainObject(value) || !(key in value)) return value
+
+  const copy = { ...value }
+  if (rest.length === 0) delete copy[key]
+  else copy[key] = omitPath(value[key], rest)
+
+  return copy
+}
+
+function mergeIntoInitial(initial, stored) {
+  if (!isPlainObject(initial) || !isPlainObject(stored)) return stored
+
+  const merged = { ...initial }
+  Object.keys(stored).forEach((key) => {
+    merged[key] = mergeIntoInitial(initial[key], stored[key])
+  })
+
+  return merged
+}
+
+/**
+ * Calls `onChange` with the value of a key whenever another tab saves it.
+ * Web Storage reports those writes with `storage` events; other adapters
+ * announce them on a BroadcastChannel. Neither reaches the tab that wrote,
+ * so applying a value never echoes it back. Returns a function that stops
+ * listening.
+ * @param {PersistedKey} entry
+ * @param {(value: unknown) => void} onChange
+ * @returns {() => void}
+ */
+export function watchPersistedKey(entry, onChange) {
+  // There are no other tabs to sync with during server rendering.
+  if (typeof window === 'undefined') return () => {}
+
+  const applyText = (text) => {
+    const synced = decodeSyncedValue(entry, text)
+    if (synced) onChange(synced.value)
+  }
+
+  const storage = getStorage(entry)
+  if (typeof Storage !== 'undefined' && storage instanceof Storage) {
+    const onStorage = (event) => {
+      if (event.storageArea === storage && event.key === entry.storageKey)
+        applyText(event.newValue)
+    }
+
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
+  }
+
+  if (typeof BroadcastChannel === 'undefined') return () => {}
+
+  const channel = new BroadcastChannel(`humn:${entry.storageKey}`)
+  channel.onmessage = (event) => applyText(event.data)
+  entry.syncChannel = channel
+
+  return () => {
+    channel.close()
+    entry.syncChannel = null
+  }
+}
+
+// Values from another tab are applied only when this tab can read them as is.
+// A tab running other code may store another version; migrating it here
+// would write it back and start the tabs overwriting each other.
+function decodeSyncedValue(entry, text) {
+  if (text === null || text === undefined) return { value: entry.initial }
+
+  try {
+    const { meta, value } = unwrapStoredValue(entry.deserialize(text))
+    if (isExpired(meta)) return { value: entry.initial }
+
+    const isSameVersion =
+      entry.version === undefined || (meta.version ?? 0) === entry.version
+
+    return isSameVersion ? { value: restoreUnstoredPaths(entry, value) } : null
+  } catch (err) {
+    return handleSyncError(entry, err)
+  }
+}
+
+function handleSyncError(entry, err) {
+  if (isDev)
+    console.warn(`Humn: Failed to sync '${entry.stateKey}' from storage.`, err)
+  return null
+}
@@ -0,0 +1,24 @@
+/**
+ * @file Checks for the plain objects and arrays Cortex copies, compares and
+ * tracks, as opposed to class instances such as `Date` or `Map`.
+ * @module plain-objects
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True for object literals and `Object.create(null)`
+ */
+export function isPlainObject(value) {
+  if (typeof value !== 'object' || value === null) return false
+
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True for arrays and plain objects
+ */
+export function isPlainContainer(value) {
+  return Array.isArray(value) || isPlainObject(value)
+}
@@ -0,0 +1,20 @@
+/**
+ * @file Ref objects for reaching the DOM elements a component renders.
+ * @module ref
+ */
+
+/**
+ * @template T
+ * @typedef {object} Ref
+ * @property {T|null} current - The element, or null while it is not mounted.
+ */
+
+/**
+ * Creates an object to pass as an element's `ref` prop. `current` is set to
+ * the element once it has been inserted and reset to null when it unmounts.
+ * @template [T=Element]
+ * @returns {Ref<T>}
+ */
+export function createRef() {
+  return { current: null }
+}
@@ -0,0 +1,69 @@
+/**
+ * @file Server-side rendering of components to HTML.
+ * @module render-to-string
+ */
+import { getStyleSheetText } from './runtime/style-registry.js'
+import { renderVNodeToHtml } from './runtime/render-html.js'
+
+/**
+ * @typedef {object} RenderToStringResult
+ * @property {string} html - The rendered markup for the component tree.
+ * @property {string} css - Every rule collected by css() so far.
+ */
+
+function createRootVNode(Component, props) {
+  return {
+    tag: Component,
+    props,
+    children: [],
+  }
+}
+
+function renderStyleTag(cssText) {
+  return cssText ? `<style id="humn-styles">${cssText}</style>` : ''
+}
+
+/**
+ * Renders a component to an HTML string without touching the DOM.
+ * onMount hooks are not run and no Cortex subscriptions are created.
+ * @param {function} Component - The root component function.
+ * @param {object} [props] - Props passed to the root component.
+ * @returns {RenderToStringResult}
+ */
+export const renderToString = (Component, props = {}) => {
+  let html = ''
+  for (const chunk of renderVNodeToHtml(createRootVNode(Component, props))) {
+    html += chunk
+  }
+
+  return { html, css: getStyleSheetText() }
+}
+
+/**
+ * Renders a component to a stream of HTML chunks.
+ * The collected styles are emitted last as a `<style id="humn-styles">` tag,
+ * because components may register new styles while they render.
+ * @param {function} Component - The root component function.
+ * @param {object} [props] - Props passed to the root component.
+ * @returns {ReadableStream<string>}
+ */
+export const renderToStream = (Component, props = {}) => {
+  const chunks = renderVNodeToHtml(createRootVNode(Component, props))
+
+  return new ReadableStream({
+    pull(controller) {
+      const { done, value } = chunks.next()
+      if (!done) {
+        controller.enqueue(value)
+        return
+      }
+
+      const styleTag = renderStyleTag(getStyleSheetText())
+      if (styleTag) controller.enqueue(styleTag)
+      controller.close()
+    },
+    cancel() {
+      chunks.return()
+    },
+  })
+}
@@ -5,17 +5,86 @@ import {
   setInstance,
   setObserver,
 } from '../observer.js'
+import { isPortal, removeDomNodes } from './dom-range.js'
+import { getPortalNodes } from './portal.js'
+import { setRef } from './refs.js'
 
-export function invokeHookSafely(fn, errorMessage) {
+export function invokeHookSafely(fn, errorMessage, instance = null) {
   try {
     fn()
   } catch (error) {
-    console.error(errorMessage, error)
+    if (!captureError(instance, error)) console.error(errorMessage, error)
   }
 }
 
+/**
+ * Hands an error thrown by a component to its nearest onError boundary.
+ * Returns false when no boundary can take it, so callers keep their previous
+ * behaviour of rethrowing or logging.
+ */
+export function captureError(instance, error) {
+  const boundary = findErrorBoundary(instance)
+  if (!boundary) return false
+
+  // The first error wins until reset(); later ones come from the same subtree
+  // that is about to be replaced by the fallback.
+  if (!boundary.error) {
+    boundary.error = error
+    boundary.fallback = runErrorHandlers(boundary.hooks.errors, error, () =>
+      resetBoundary(boundary),
+    )
+    queueMicrotask(boundary.update)
+  }
+
+  return true
+}
+
+function findErrorBoundary(instance) {
+  let ancestor = instance?.parentInstance
+
+  while (ancestor) {
+    // A boundary that is showing its fallback passes errors on, otherwise a
+    // broken fallback would replace itself forever.
+    if (
+      ancestor.isMounted &&
+      ancestor.hooks?.errors.length &&
+      !ancestor.isShowingFallback
+    )
+      return ancestor
+
+    ancestor = ancestor.parentInstance
+  }
+
+  return null
+}
+
+function resetBoundary(boundary) {
+  boundary.error = null
+  boundary.fallback = null
+  boundary.isShowingFallback = false
+  boundary.update()
+}
+
+/**
+ * Calls a boundary's onError handlers and returns the first fallback one of
+ * them provides.
+ */
+export function runErrorHandlers(handlers, error, reset) {
+  return handlers.reduce((fallback, fn) => {
+    const result = fn(error, reset)
+    return fallback === undefined ? result : fallback
+  }, undefined)
+}
+
 export function renderComponent(vNode, observer) {
-  const hooks = { mounts: [], cleanups: [] }
+  const hooks = {
+    mounts: [],
+    cleanups: [],
+    errors: [],
+    beforeUpdates: [],
+    updates: [],
+    memories: [],
+  }
   const previousInstance = getInstance()
   const previousObserver = getObserver()
 
@@ -24,7 +93,7 @@ export function renderComponent(vNode, observer) {
   setInstance(hooks)
 
   try {
-    const renderedVNode = vNode.tag(vNode.props)
+    const renderedVNode = vNode.tag(vNode.props, vNode.children)
     vNode.hooks = hooks
     return renderedVNode
   } finally {
@@ -33,35 +102,55 @@ export function renderComponent(vNode, observer) {
   }
 }
 
-export function runUnmount(vNode) {
-  if (!vNode) return
+export function runUnmount(staleVNode) {
+  if (!staleVNode) return
+
+  // A component that re-rendered itself holds its latest tree on the instance.
+  const vNode = staleVNode.instance?.vNode || staleVNode
 
   clearObserverDependencies(vNode.instance?.update)
   if (vNode.instance) {
+    vNode.instance.memories?.forEach((memory) => memory.dispose())
     vNode.instance.isMounted = false
     vNode.instance.parent = null
     vNode.instance.vNode = null
   }
+  if (vNode.props?.ref && typeof vNode.tag === 'string')
+    setRef(vNode.props.ref, null)
   if (vNode.hooks?.cleanups)
     vNode.hooks.cleanups.forEach((fn) =>
-      invokeHookSafely(fn, 'Error in cleanup hook:'),
+      invokeHookSafely(fn, 'Error in cleanup hook:', vNode.instance),
     )
   if (vNode.child) runUnmount(vNode.child)
+
+  // Portal content is not inside the parent element being removed, so it
+  // has to be taken out of its target explicitly. Collect the nodes first,
+  // because unmounting forgets the components' latest trees.
+  const portalNodes = isPortal(vNode) ? getPortalNodes(vNode) : null
   if (vNode.children) vNode.children.forEach(runUnmount)
+  if (portalNodes) removeDomNodes(vNode.target, portalNodes)
 }
 
-export function scheduleMountHooks(hooks) {
+export function scheduleMountHooks(hooks, instance = null) {
   if (!hooks?.mounts?.length) return
 
   setTimeout(
     () =>
       hooks.mounts.forEach((fn) =>
-        invokeHookSafely(fn, 'Error in mount hook:'),
+        invokeHookSafely(fn, 'Error in mount hook:', instance),
       ),
     0,
   )
 }
 
-export function runComponentUpdateHooks({ newHooks, oldHooks }) {
-  if (!oldHooks) return
+export function runBeforeUpdateHooks(hooks, instance) {
+  hooks?.beforeUpdates?.forEach((fn) =>
+    invokeHookSafely(fn, 'Error in before update hook:', instance),
+  )
+}
+
+export function runUpdateHooks(hooks, instance) {
+  hooks?.updates?.forEach((fn) =>
+    invokeHookSafely(fn, 'Error in update hook:', instance),
+  )
 }
@@ -1,4 +1,11 @@
+import {
+  FRAGMENT_ANCHOR,
+  getNodeCount,
+  isFragment,
+  isPortal,
+} from './dom-range.js'
 import { mountComponent } from './patch.js'
+import { mountPortal } from './portal.js'
 import { patchProps } from './patch-props.js'
 
 const SVG_NS = 'http://www.w3.org/2000/svg'
@@ -22,6 +29,15 @@ export function createElement(vNode, namespace, parent = null, index = 0) {
   if (typeof vNode.tag === 'function')
     return createComponentElement({ index, namespace, parent, vNode })
 
+  if (isFragment(vNode))
+    return createFragmentElement({ index, namespace, parent, vNode })
+
+  // A portal renders into its target and leaves nothing in the parent.
+  if (isPortal(vNode)) {
+    mountPortal(vNode)
+    return null
+  }
+
   const tag = vNode.tag
   const elementNamespace = getElementNamespace(tag, namespace)
   const element = elementNamespace
@@ -30,7 +46,13 @@ export function createElement(vNode, namespace, parent = null, index = 0) {
 
   vNode.el = element
   patchProps(element, vNode.props)
-  appendChildren({ element, namespace: elementNamespace, tag, vNode })
+  // Children of SVG foreignObject must return to the HTML namespace.
+  insertChildren({
+    children: vNode.children,
+    container: element,
+    namespace: tag === 'foreignObject' ? null : elementNamespace,
+    offset: 0,
+  })
   return element
 }
 
@@ -47,21 +69,38 @@ function createComponentElement({ index, namespace, parent, vNode }) {
     oldVNode: null,
     parent: fragment,
   })
-  return vNode.el || fragment.firstChild
+  return fragment
 }
 
-function appendChildren({ element, namespace, tag, vNode }) {
-  // Children of SVG foreignObject must return to the HTML namespace.
-  const childNamespace = tag === 'foreignObject' ? null : namespace
-
-  vNode.children.forEach((child) => {
-    const childElement = createElement(
-      child,
-      childNamespace,
-      element,
-      element.childNodes.length,
-    )
-    if (childElement.parentNode !== element) element.appendChild(childElement)
+// Fragments are built straight into their parent when there is one, so
+// components inside them keep a reference to the real parent element instead
+// of a throwaway DocumentFragment.
+function createFragmentElement({ index, namespace, parent, vNode }) {
+  const container = parent || document.createDocumentFragment()
+  const start = parent ? index : 0
+  const anchor = document.createComment(FRAGMENT_ANCHOR)
+
+  vNode.el = anchor
+  container.insertBefore(anchor, container.childNodes[start] || null)
+  insertChildren({
+    children: vNode.children,
+    container,
+    namespace,
+    offset: start + 1,
+  })
+
+  return parent ? anchor : container
+}
+
+function insertChildren({ children, container, namespace, offset }) {
+  let domIndex = offset
+
+  children.forEach((child) => {
+    const node = createElement(child, namespace, container, domIndex)
+    if (node && node.parentNode !== container)
+      container.insertBefore(node, container.childNodes[domIndex] || null)
+
+    domIndex += getNodeCount(child)
   })
 }
 
@@ -0,0 +1,81 @@
+import { Fragment, Portal } from '../h.js'
+
+// Fragments render a comment in front of their children. It never moves or
+// changes, so it marks where the fragment's range starts even when the
+// fragment is empty or its first child is a text node.
+export const FRAGMENT_ANCHOR = '['
+
+// The server wraps an error boundary's fallback in these comments, so the
+// client can drop it and render the boundary's children itself.
+export const SERVER_FALLBACK_START = 'humn-fallback'
+export const SERVER_FALLBACK_END = '/humn-fallback'
+
+export function isFragment(vNode) {
+  return vNode?.tag === Fragment
+}
+
+export function isPortal(vNode) {
+  return vNode?.tag === Portal
+}
+
+// A component that re-rendered itself holds its latest tree on the instance.
+function getCurrentVNode(vNode) {
+  return vNode.instance?.vNode || vNode
+}
+
+/**
+ * Counts the DOM nodes a VNode occupies in its parent element.
+ */
+export function getNodeCount(vNode) {
+  if (vNode === null || vNode === undefined || vNode === false) return 0
+  if (typeof vNode !== 'object') return 1
+
+  // Portal content lives in its target, not in the portal's parent.
+  if (isPortal(vNode)) return 0
+
+  if (typeof vNode.tag === 'function')
+    return getNodeCount(getCurrentVNode(vNode).child)
+
+  if (isFragment(vNode))
+    return vNode.children.reduce(
+      (count, child) => count + getNodeCount(child),
+      1,
+    )
+
+  return 1
+}
+
+/**
+ * Returns the DOM nodes rendered for a VNode, first to last.
+ * Text VNodes do not keep a reference to their node, so `index` is used to
+ * find them.
+ */
+export function getDomNodes(parent, vNode, index) {
+  const count = getNodeCount(vNode)
+  const nodes = []
+  if (count === 0) return nodes
+
+  const first = typeof vNode === 'object' ? getCurrentVNode(vNode).el : null
+  let node = first?.parentNode === parent ? first : parent.childNodes[index]
+
+  while (node && nodes.length < count) {
+    nodes.push(node)
+    node = node.nextSibling
+  }
+
+  return nodes
+}
+
+export function removeDomNodes(parent, nodes) {
+  nodes.forEach((node) => {
+    if (node.parentNode === parent) parent.removeChild(node)
+  })
+}
+
+export function moveDomNodes(parent, nodes, referenceNode) {
+  nodes.forEach((node) => parent.insertBefore(node, referenceNode))
+}
+
+export function indexOfNode(parent, node) {
+  return Array.prototype.indexOf.call(parent.childNodes, node)
+}
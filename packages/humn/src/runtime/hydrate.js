@@ -0,0 +1,193 @@
+import { createElement, getNamespace } from './create-element.js'
+import {
+  FRAGMENT_ANCHOR,
+  getNodeCount,
+  isFragment,
+  isPortal,
+  SERVER_FALLBACK_END,
+  SERVER_FALLBACK_START,
+} from './dom-range.js'
+import { mountComponent } from './patch.js'
+import { patchProps } from './patch-props.js'
+import { mountPortal } from './portal.js'
+
+const isDev = import.meta.env?.DEV || false
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const COMMENT_NODE = 8
+
+function warnMismatch(message, node) {
+  if (isDev) console.warn(`Humn: Hydration mismatch, ${message}.`, node)
+}
+
+/**
+ * Adopts the server-rendered DOM node at `parent.childNodes[index]` for a
+ * VNode instead of creating a new one. Mismatched nodes are replaced so the
+ * page ends up matching the client render without duplicated markup.
+ */
+export function hydrateNode(parent, vNode, index) {
+  if (vNode === null || vNode === undefined) return
+
+  if (typeof vNode.tag === 'function') {
+    mountComponent({
+      index,
+      newVNode: vNode,
+      oldVNode: null,
+      parent,
+      patchChild: (childParent, childVNode, _oldChild, childIndex) =>
+        hydrateNode(childParent, childVNode, childIndex),
+    })
+    return
+  }
+
+  // The server renders nothing for portals, so their content is created fresh.
+  if (isPortal(vNode)) {
+    mountPortal(vNode)
+    return
+  }
+
+  const node = parent.childNodes[index]
+
+  if (isComment(node, SERVER_FALLBACK_START)) {
+    replaceServerFallback({ node, parent, vNode, index })
+    return
+  }
+
+  if (typeof vNode === 'string' || typeof vNode === 'number') {
+    hydrateText({ node, parent, text: String(vNode) })
+    return
+  }
+
+  if (isFragment(vNode)) {
+    hydrateFragment({ node, parent, vNode, index })
+    return
+  }
+
+  if (!isMatchingElement(node, vNode.tag)) {
+    warnMismatch(`expected <${vNode.tag}>`, node)
+    replaceNode({ node, parent, vNode, index })
+    return
+  }
+
+  vNode.el = node
+  patchProps(node, vNode.props)
+  hydrateChildren(node, vNode.children)
+}
+
+/**
+ * Hydrates a mounted root whose server markup starts at `index`. Nodes past
+ * its range are left alone, since the target can hold other roots or markup
+ * Humn does not own.
+ */
+export function hydrateRoot(target, vNode, index) {
+  removeTextSeparators(target)
+  hydrateNode(target, vNode, index)
+}
+
+function hydrateChildren(parent, children) {
+  removeTextSeparators(parent)
+  const claimedCount = hydrateSiblings(parent, children, 0)
+  removeUnclaimedNodes(parent, claimedCount)
+}
+
+// Hydrates children that start at `index` and returns the DOM index just past
+// the last one, since fragments and components can claim several nodes.
+function hydrateSiblings(parent, children, index) {
+  let domIndex = index
+
+  children.forEach((child) => {
+    hydrateNode(parent, child, domIndex)
+    domIndex += getNodeCount(child)
+  })
+
+  return domIndex
+}
+
+function hydrateFragment({ node, parent, vNode, index }) {
+  let anchor = node
+  if (!isFragmentAnchor(node)) {
+    warnMismatch('expected a fragment', node)
+    anchor = document.createComment(FRAGMENT_ANCHOR)
+    parent.insertBefore(anchor, node || null)
+  }
+
+  vNode.el = anchor
+  hydrateSiblings(parent, vNode.children, index + 1)
+}
+
+function isFragmentAnchor(node) {
+  return isComment(node, FRAGMENT_ANCHOR)
+}
+
+function isComment(node, value) {
+  return node?.nodeType === COMMENT_NODE && node.nodeValue === value
+}
+
+// An error boundary failed on the server and rendered its fallback there.
+// The fallback is dropped and the boundary's children are mounted fresh, so
+// they recover if the error was server-only, or the boundary shows its
+// fallback again if they still throw.
+function replaceServerFallback({ node, parent, vNode, index }) {
+  let depth = 0
+  let current = node
+
+  do {
+    if (isComment(current, SERVER_FALLBACK_START)) depth++
+    if (isComment(current, SERVER_FALLBACK_END)) depth--
+
+    const next = current.nextSibling
+    parent.removeChild(current)
+    current = next
+  } while (current && depth > 0)
+
+  const element = createElement(vNode, getNamespace(parent), parent, index)
+  if (element && element.parentNode !== parent)
+    parent.insertBefore(element, parent.childNodes[index] || null)
+}
+
+function hydrateText({ node, parent, text }) {
+  if (node?.nodeType !== TEXT_NODE) {
+    warnMismatch(`expected text "${text}"`, node)
+    const textNode = document.createTextNode(text)
+    if (node) parent.replaceChild(textNode, node)
+    else parent.appendChild(textNode)
+    return
+  }
+
+  if (node.nodeValue === text) return
+
+  warnMismatch(`expected text "${text}" but found "${node.nodeValue}"`, node)
+  node.nodeValue = text
+}
+
+function isMatchingElement(node, tag) {
+  return (
+    node?.nodeType === ELEMENT_NODE &&
+    node.nodeName.toLowerCase() === tag.toLowerCase()
+  )
+}
+
+function replaceNode({ node, parent, vNode, index }) {
+  const element = createElement(vNode, getNamespace(parent), parent, index)
+  if (element.parentNode === parent) return
+
+  if (node) parent.replaceChild(element, node)
+  else parent.appendChild(element)
+}
+
+// The server splits adjacent text nodes with empty comments. They have done
+// their job once parsed, and leaving them in would shift child indexes.
+function removeTextSeparators(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === COMMENT_NODE && node.nodeValue === '')
+      parent.removeChild(node)
+  })
+}
+
+function removeUnclaimedNodes(parent, claimedCount) {
+  while (parent.childNodes.length > claimedCount) {
+    const node = parent.childNodes[claimedCount]
+    warnMismatch('found extra server-rendered markup', node)
+    parent.removeChild(node)
+  }
+}
@@ -10,6 +10,7 @@ import {
   patchDebouncedInput,
   patchInteractionHelpers,
 } from './interaction-helpers.js'
+import { patchRef } from './refs.js'
 
 export function patchProps(element, newProps = {}, oldProps = {}) {
   if (!element) return
@@ -27,6 +28,11 @@ function patchProp({ element, key, newProps, oldProps }) {
   const oldValue = oldProps[key]
   const newValue = newProps[key]
 
+  if (key === 'ref') {
+    patchRef({ element, newRef: newValue, oldRef: oldValue })
+    return
+  }
+
   if (newValue === undefined || newValue === null) {
     removeProp({ element, key })
     return
@@ -1,11 +1,25 @@
+import { cloneVNode } from '../h.js'
+import { getComponentInstance, setComponentInstance } from '../observer.js'
 import {
+  captureError,
   renderComponent,
-  runComponentUpdateHooks,
+  runBeforeUpdateHooks,
   runUnmount,
+  runUpdateHooks,
   scheduleMountHooks,
 } from './component-lifecycle.js'
 import { createElement, getNamespace } from './create-element.js'
+import {
+  getDomNodes,
+  getNodeCount,
+  indexOfNode,
+  isFragment,
+  isPortal,
+  removeDomNodes,
+} from './dom-range.js'
 import { patchProps } from './patch-props.js'
+import { patchPortal } from './portal.js'
+import { afterRefs, batchRefs } from './refs.js'
 import { hasKeys, reconcileChildren } from './reconcile-children.js'
 
 export { hasKeys }
@@ -17,6 +31,13 @@ export function createComponentInstance() {
     update: null,
     isMounted: false,
     vNode: null,
+    hooks: null,
+    parentInstance: null,
+    provides: null,
+    memories: null,
+    error: null,
+    fallback: null,
+    isShowingFallback: false,
   }
 
   instance.update = () => {
@@ -30,7 +51,7 @@ export function createComponentInstance() {
     }
 
     mountComponent({
-      index: instance.index,
+      index: getCurrentIndex(instance),
       newVNode: nextVNode,
       oldVNode: instance.vNode,
       parent: instance.parent,
@@ -40,7 +61,27 @@ export function createComponentInstance() {
   return instance
 }
 
-export function mountComponent({ index, newVNode, oldVNode, parent }) {
+// A sibling that re-rendered itself may have changed how many nodes come
+// before this component since its parent last patched it, so the index is
+// read from the component's first node when it has one.
+function getCurrentIndex(instance) {
+  const el = instance.vNode.el
+  return el?.parentNode === instance.parent
+    ? indexOfNode(instance.parent, el)
+    : instance.index
+}
+
+export function mountComponent(options) {
+  batchRefs(() => renderAndPatchComponent(options))
+}
+
+function renderAndPatchComponent({
+  index,
+  newVNode,
+  oldVNode,
+  parent,
+  patchChild = patch,
+}) {
   const previousVNode = oldVNode?.instance?.vNode || oldVNode
   const instance = previousVNode?.instance || createComponentInstance()
   const isNew = !previousVNode
@@ -50,71 +91,89 @@ export function mountComponent({ index, newVNode, oldVNode, parent }) {
   instance.isMounted = true
   instance.parent = parent
 
-  const childVNode = renderComponent(newVNode, instance.update)
-  newVNode.child = childVNode
-
-  patch(parent, childVNode, previousVNode?.child, index)
-  newVNode.el =
-    typeof childVNode === 'object' && childVNode !== null
-      ? childVNode.el
-      : parent.childNodes[index]
+  // Components created while another one patches its subtree are its
+  // descendants; error boundaries and provided values are found by walking
+  // this chain.
+  const parentComponent = getComponentInstance()
+  if (isNew) instance.parentInstance = parentComponent
+  setComponentInstance(instance)
 
-  if (isNew) scheduleMountHooks(newVNode.hooks)
-  if (!isNew)
-    runComponentUpdateHooks({
-      newHooks: newVNode.hooks,
-      oldHooks: previousVNode.hooks,
-    })
+  let updateHooks
+  try {
+    const childVNode = renderComponentChild(newVNode, instance)
+    newVNode.child = childVNode
+    instance.hooks = previousVNode?.hooks || newVNode.hooks
 
-  if (!isNew) newVNode.hooks = previousVNode.hooks
+    // Mount and cleanup hooks are kept from the first render, but update and
+    // error hooks come from this render so they see the current props.
+    // A boundary showing its fallback did not render, so it keeps its handlers.
+    if (newVNode.hooks) instance.hooks.errors = newVNode.hooks.errors
+    updateHooks = newVNode.hooks || instance.hooks
+    if (!isNew) runBeforeUpdateHooks(updateHooks, instance)
+    patchChild(parent, childVNode, previousVNode?.child, index)
+    newVNode.el = getFirstNode(parent, childVNode, index)
+  } finally {
+    setComponentInstance(parentComponent)
+  }
 
+  newVNode.hooks = instance.hooks
   instance.vNode = newVNode
+
+  if (isNew) scheduleMountHooks(newVNode.hooks, instance)
+  else afterRefs(() => runUpdateHooks(updateHooks, instance))
+}
+
+// A boundary that caught an error renders its fallback instead of calling the
+// component again. A component that throws renders nothing once its error has
+// been handed to a boundary.
+function renderComponentChild(vNode, instance) {
+  if (instance.error) {
+    instance.isShowingFallback = true
+    return cloneVNode(instance.fallback)
+  }
+
+  try {
+    return renderComponent(vNode, instance.update)
+  } catch (error) {
+    if (!captureError(instance, error)) throw error
+    return null
+  }
+}
+
+// A component that renders nothing has no node; the node at its index then
+// belongs to the next sibling.
+function getFirstNode(parent, childVNode, index) {
+  if (getNodeCount(childVNode) === 0) return null
+  if (typeof childVNode === 'object') return childVNode.el
+  return parent.childNodes[index]
 }
 
 function isComponentVNode(vNode) {
   return typeof vNode?.tag === 'function'
 }
 
+// A component can only be patched against an earlier render of the same
+// component; anything else it replaces must be unmounted first.
 function isDifferentComponent(newVNode, oldVNode) {
-  return (
-    isComponentVNode(newVNode) &&
-    isComponentVNode(oldVNode) &&
-    newVNode.tag !== oldVNode.tag
+  if (
+    !isComponentVNode(newVNode) ||
+    oldVNode === undefined ||
+    oldVNode === null
   )
+    return false
+
+  return !isComponentVNode(oldVNode) || newVNode.tag !== oldVNode.tag
 }
 
 export function patch(parent, newVNode, oldVNode, index = 0) {
   // Removal must clean up recursively so component hooks cannot leak.
   if (newVNode === undefined || newVNode === null) {
-    const el = oldVNode?.el || parent.childNodes[index]
-    runUnmount(oldVNode)
-    if (el && el.parentNode === parent) parent.removeChild(el)
+    removeVNode(parent, oldVNode, index)
     return
   }
 
   if (isDifferentComponent(newVNode, oldVNode)) {
-    const oldEl = oldVNode.el || oldVNode.child?.el || parent.childNodes[index]
-    runUnmount(oldVNode)
-
-    const fragment = document.createDocumentFragment()
-    mountComponent({ index: 0, newVNode, oldVNode: null, parent: fragment })
-
-    newVNode.instance.parent = parent
-    newVNode.instance.index = index
-
-    const replacement = newVNode.el || fragment.firstChild
-
-    if (oldEl && oldEl.parentNode === parent) {
-      parent.replaceChild(replacement, oldEl)
-    } else {
-      const current = parent.childNodes[index]
-      if (current && current.parentNode === parent) {
-        parent.replaceChild(replacement, current)
-      } else {
-        parent.appendChild(replacement)
-      }
-    }
-
+    replaceVNode(parent, newVNode, oldVNode, index)
     return
   }
 
@@ -124,7 +183,7 @@ export function patch(parent, newVNode, oldVNode, index = 0) {
   }
 
   if (oldVNode === undefined || oldVNode === null) {
-    parent.appendChild(createElement(newVNode, getNamespace(parent)))
+    insertVNode(parent, newVNode, index)
     return
   }
 
@@ -133,9 +192,7 @@ export function patch(parent, newVNode, oldVNode, index = 0) {
     typeof newVNode !== typeof oldVNode ||
     (typeof newVNode !== 'string' && newVNode.tag !== oldVNode.tag)
   ) {
-    const el = oldVNode.el || parent.childNodes[index]
-    if (el)
-      parent.replaceChild(createElement(newVNode, getNamespace(parent)), el)
+    replaceVNode(parent, newVNode, oldVNode, index)
     return
   }
 
@@ -149,6 +206,16 @@ export function patch(parent, newVNode, oldVNode, index = 0) {
     return
   }
 
+  if (isFragment(newVNode)) {
+    patchFragment(parent, newVNode, oldVNode)
+    return
+  }
+
+  if (isPortal(newVNode)) {
+    patchPortal(newVNode, oldVNode)
+    return
+  }
+
   const el = oldVNode.el || parent.childNodes[index]
   if (!el) return
   newVNode.el = el
@@ -161,3 +228,45 @@ export function patch(parent, newVNode, oldVNode, index = 0) {
     runUnmount,
   })
 }
+
+function patchFragment(parent, newVNode, oldVNode) {
+  const anchor = oldVNode.el
+  newVNode.el = anchor
+
+  reconcileChildren({
+    oldChildren: oldVNode.children,
+    newChildren: newVNode.children,
+    offset: indexOfNode(parent, anchor) + 1,
+    parent,
+    patchNode: patch,
+    runUnmount,
+  })
+}
+
+function insertVNode(parent, vNode, index) {
+  if (typeof vNode.tag === 'function') {
+    mountComponent({ index, newVNode: vNode, oldVNode: null, parent })
+    return
+  }
+
+  const node = createElement(vNode, getNamespace(parent), parent, index)
+  if (node && node.parentNode !== parent)
+    parent.insertBefore(node, parent.childNodes[index] || null)
+}
+
+function removeVNode(parent, vNode, index) {
+  const nodes = getDomNodes(parent, vNode, index)
+  runUnmount(vNode)
+  removeDomNodes(parent, nodes)
+}
+
+// The replacement goes where the old range started, which may differ from
+// `index` when an earlier sibling changed how many nodes it renders.
+function replaceVNode(parent, newVNode, oldVNode, index) {
+  const oldNodes = getDomNodes(parent, oldVNode, index)
+  const insertIndex = oldNodes.length ? indexOfNode(parent, oldNodes[0]) : index
+
+  runUnmount(oldVNode)
+  removeDomNodes(parent, oldNodes)
+  insertVNode(parent, newVNode, insertIndex)
+}
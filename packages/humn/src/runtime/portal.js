@@ -0,0 +1,52 @@
+import { Fragment } from '../h.js'
+import { runUnmount } from './component-lifecycle.js'
+import { getDomNodes } from './dom-range.js'
+import { patch } from './patch.js'
+
+const isDev = import.meta.env?.DEV || false
+
+function resolveTarget(target) {
+  const element =
+    typeof target === 'string' ? document.querySelector(target) : target
+
+  if (!element && isDev)
+    console.warn(`Humn: Portal target "${target}" was not found.`)
+
+  return element || null
+}
+
+// Portal children are patched as a fragment appended to the target, so they
+// sit next to anything else the target already contains.
+function createContent(vNode) {
+  return { tag: Fragment, props: {}, children: vNode.children }
+}
+
+export function mountPortal(vNode, target = resolveTarget(vNode.props.target)) {
+  vNode.target = target
+  vNode.content = createContent(vNode)
+
+  if (vNode.target)
+    patch(vNode.target, vNode.content, null, vNode.target.childNodes.length)
+}
+
+/**
+ * Patches portal content in place, or moves it by unmounting it from the old
+ * target and mounting it into the new one.
+ */
+export function patchPortal(newVNode, oldVNode) {
+  const target = resolveTarget(newVNode.props.target)
+
+  if (target !== oldVNode.target) {
+    runUnmount(oldVNode)
+    mountPortal(newVNode, target)
+    return
+  }
+
+  newVNode.target = target
+  newVNode.content = createContent(newVNode)
+  if (target) patch(target, newVNode.content, oldVNode.content)
+}
+
+export function getPortalNodes(vNode) {
+  return vNode.target ? getDomNodes(vNode.target, vNode.content) : []
+}
@@ -1,10 +1,23 @@
+import {
+  getDomNodes,
+  getNodeCount,
+  indexOfNode,
+  moveDomNodes,
+  removeDomNodes,
+} from './dom-range.js'
+
+const isDev = import.meta.env?.DEV || false
+
 export function hasKeys(children) {
   return children && children.some((child) => child?.props?.key != null)
 }
 
+// `offset` is the DOM index of the first child. It is non-zero when the
+// children belong to a fragment that shares its parent with other nodes.
 export function reconcileChildren({
   oldChildren,
   newChildren,
+  offset = 0,
   parent,
   patchNode,
   runUnmount,
@@ -16,6 +29,7 @@ export function reconcileChildren({
     reconcileKeyedChildren({
       oldChildren,
       newChildren,
+      offset,
       parent,
       patchNode,
       runUnmount,
@@ -23,99 +37,215 @@ export function reconcileChildren({
     return
   }
 
-  reconcileUnkeyedChildren({ oldChildren, newChildren, parent, patchNode })
+  reconcileUnkeyedChildren({
+    oldChildren,
+    newChildren,
+    offset,
+    parent,
+    patchNode,
+  })
 }
 
 function reconcileUnkeyedChildren({
   oldChildren,
   newChildren,
+  offset,
   parent,
   patchNode,
 }) {
   const maxLength = Math.max(newChildren.length, oldChildren.length)
+  let domIndex = offset
+
   for (let index = 0; index < maxLength; index++) {
-    patchNode(parent, newChildren[index], oldChildren[index], index)
+    patchNode(parent, newChildren[index], oldChildren[index], domIndex)
+    domIndex += getNodeCount(newChildren[index])
   }
 }
 
+// Keyed children are diffed in three steps:
+// 1. Children with the same key at the start or end of both lists are patched
+//    in place, which covers appends, removals at the edges and most updates.
+// 2. The remaining old children are walked in their current DOM order. Each
+//    one is patched against the new child with its key, or removed.
+// 3. The remaining new children are placed from last to first. Children on the
+//    longest increasing subsequence of old positions are already in order and
+//    stay put; everything else is moved or inserted before the next sibling.
 function reconcileKeyedChildren({
   oldChildren,
   newChildren,
+  offset,
   parent,
   patchNode,
   runUnmount,
 }) {
-  const keyedChildren = getKeyedChildren(oldChildren)
-
-  newChildren.forEach((newChild, index) => {
-    const key = getChildKey(newChild, index)
-    const existingChild = keyedChildren[key]
-
-    if (existingChild) {
-      patchExistingKeyedChild({
-        existingChild,
-        index,
-        newChild,
-        parent,
-        patchNode,
-      })
-      delete keyedChildren[key]
-      return
-    }
+  if (isDev) warnDuplicateKeys(newChildren)
+
+  let start = 0
+  let oldEnd = oldChildren.length - 1
+  let newEnd = newChildren.length - 1
+  let domIndex = offset
+
+  while (
+    start <= oldEnd &&
+    start <= newEnd &&
+    isSameKey(oldChildren, start, newChildren, start)
+  ) {
+    patchNode(parent, newChildren[start], oldChildren[start], domIndex)
+    domIndex += getNodeCount(newChildren[start])
+    start++
+  }
+
+  while (
+    start <= oldEnd &&
+    start <= newEnd &&
+    isSameKey(oldChildren, oldEnd, newChildren, newEnd)
+  ) {
+    oldEnd--
+    newEnd--
+  }
 
-    insertNewKeyedChild({ index, newChild, parent, patchNode })
+  domIndex = reconcileKeyedRange({
+    domIndex,
+    newChildren,
+    newEnd,
+    oldChildren,
+    oldEnd,
+    parent,
+    patchNode,
+    runUnmount,
+    start,
   })
 
-  removeStaleKeyedChildren({ keyedChildren, parent, runUnmount })
+  // The tail kept its order, so it only needs patching after the middle.
+  for (
+    let offsetFromEnd = 1;
+    newEnd + offsetFromEnd < newChildren.length;
+    offsetFromEnd++
+  ) {
+    const newChild = newChildren[newEnd + offsetFromEnd]
+    patchNode(parent, newChild, oldChildren[oldEnd + offsetFromEnd], domIndex)
+    domIndex += getNodeCount(newChild)
+  }
 }
 
-function getKeyedChildren(children) {
-  const keyedChildren = {}
+function reconcileKeyedRange({
+  domIndex,
+  newChildren,
+  newEnd,
+  oldChildren,
+  oldEnd,
+  parent,
+  patchNode,
+  runUnmount,
+  start,
+}) {
+  const newIndexByKey = new Map()
+  for (let index = newEnd; index >= start; index--) {
+    newIndexByKey.set(getChildKey(newChildren[index], index), index)
+  }
 
-  children.forEach((child, index) => {
-    const key = getChildKey(child, index)
-    keyedChildren[key] = { index, vNode: child }
-  })
+  // For each new child: the index of the old child it was patched against (or
+  // -1 when it is new) and the DOM nodes it occupies.
+  const oldIndexes = new Array(newEnd - start + 1).fill(-1)
+  const nodesByIndex = new Array(newEnd - start + 1)
+
+  let middleIndex = domIndex
+  for (let oldIndex = start; oldIndex <= oldEnd; oldIndex++) {
+    const oldChild = oldChildren[oldIndex]
+    const newIndex = newIndexByKey.get(getChildKey(oldChild, oldIndex))
+
+    if (newIndex === undefined || oldIndexes[newIndex - start] !== -1) {
+      const nodes = getDomNodes(parent, oldChild, middleIndex)
+      runUnmount(oldChild)
+      removeDomNodes(parent, nodes)
+      continue
+    }
 
-  return keyedChildren
-}
+    const newChild = newChildren[newIndex]
+    patchNode(parent, newChild, oldChild, middleIndex)
+    oldIndexes[newIndex - start] = oldIndex
+    nodesByIndex[newIndex - start] = getDomNodes(parent, newChild, middleIndex)
+    middleIndex += nodesByIndex[newIndex - start].length
+  }
 
-function getChildKey(child, fallback) {
-  return child?.props?.key != null ? child.props.key : fallback
+  const stableIndexes = getLongestIncreasingSubsequence(oldIndexes)
+  let referenceNode = parent.childNodes[middleIndex] || null
+
+  for (let index = newEnd; index >= start; index--) {
+    const position = index - start
+    const newChild = newChildren[index]
+
+    if (oldIndexes[position] === -1) {
+      const insertIndex = referenceNode
+        ? indexOfNode(parent, referenceNode)
+        : parent.childNodes.length
+      patchNode(parent, newChild, null, insertIndex)
+      nodesByIndex[position] = getDomNodes(parent, newChild, insertIndex)
+    } else if (!stableIndexes.has(position)) {
+      moveDomNodes(parent, nodesByIndex[position], referenceNode)
+    }
+
+    if (nodesByIndex[position].length) referenceNode = nodesByIndex[position][0]
+  }
+
+  return nodesByIndex.reduce((index, nodes) => index + nodes.length, domIndex)
 }
 
-function patchExistingKeyedChild({
-  existingChild,
-  index,
-  newChild,
-  parent,
-  patchNode,
-}) {
-  const oldVNode = existingChild.vNode
-  patchNode(parent, newChild, oldVNode, index)
+function isSameKey(oldChildren, oldIndex, newChildren, newIndex) {
+  return (
+    getChildKey(oldChildren[oldIndex], oldIndex) ===
+    getChildKey(newChildren[newIndex], newIndex)
+  )
+}
 
-  const element = newChild.el || oldVNode.el
-  const domChildAtIndex = parent.childNodes[index]
-  if (element && domChildAtIndex !== element)
-    parent.insertBefore(element, domChildAtIndex)
+function getChildKey(child, fallback) {
+  return child?.props?.key != null ? child.props.key : fallback
 }
 
-function insertNewKeyedChild({ index, newChild, parent, patchNode }) {
-  patchNode(parent, newChild, null, index)
+/**
+ * Returns the positions of the longest strictly increasing run of values,
+ * skipping -1 entries, in O(n log n).
+ */
+function getLongestIncreasingSubsequence(values) {
+  const tails = []
+  const previous = new Array(values.length)
+
+  values.forEach((value, position) => {
+    if (value === -1) return
+
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (values[tails[middle]] < value) low = middle + 1
+      else high = middle
+    }
 
-  const newElement = newChild.el
-  const domChildAtIndex = parent.childNodes[index]
+    previous[position] = low > 0 ? tails[low - 1] : -1
+    tails[low] = position
+  })
 
-  if (newElement && domChildAtIndex && domChildAtIndex !== newElement) {
-    parent.insertBefore(newElement, domChildAtIndex)
+  const sequence = new Set()
+  let position = tails.length ? tails[tails.length - 1] : -1
+  while (position !== -1) {
+    sequence.add(position)
+    position = previous[position]
   }
+
+  return sequence
 }
 
-function removeStaleKeyedChildren({ keyedChildren, parent, runUnmount }) {
-  Object.values(keyedChildren).forEach(({ vNode }) => {
-    if (!vNode.el || vNode.el.parentNode !== parent) return
+function warnDuplicateKeys(children) {
+  const keys = new Set()
+
+  children.forEach((child) => {
+    const key = child?.props?.key
+    if (key == null) return
 
-    runUnmount(vNode)
-    parent.removeChild(vNode.el)
+    if (keys.has(key))
+      console.warn(
+        `Humn: Duplicate key "${key}" found among siblings. Keys must be unique, otherwise items can be dropped or mixed up.`,
+      )
+    keys.add(key)
   })
 }
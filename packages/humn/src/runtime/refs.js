@@ -0,0 +1,47 @@
+// Refs are assigned once the outermost component patch has finished, so they
+// never point at elements that are still detached while their parent is being
+// built. Callbacks that should see those refs, like onUpdate, wait as well.
+let batchDepth = 0
+let pendingRefs = []
+let pendingCallbacks = []
+
+export function setRef(ref, value) {
+  if (typeof ref === 'function') ref(value)
+  else if (ref && typeof ref === 'object') ref.current = value
+}
+
+export function patchRef({ element, newRef, oldRef }) {
+  if (newRef === oldRef) return
+
+  if (oldRef) setRef(oldRef, null)
+  if (!newRef) return
+
+  if (batchDepth) pendingRefs.push([newRef, element])
+  else setRef(newRef, element)
+}
+
+export function afterRefs(fn) {
+  if (batchDepth) pendingCallbacks.push(fn)
+  else fn()
+}
+
+export function batchRefs(fn) {
+  batchDepth++
+
+  try {
+    fn()
+  } finally {
+    batchDepth--
+    if (!batchDepth) flushRefs()
+  }
+}
+
+function flushRefs() {
+  const refs = pendingRefs
+  const callbacks = pendingCallbacks
+  pendingRefs = []
+  pendingCallbacks = []
+
+  refs.forEach(([ref, element]) => setRef(ref, element))
+  callbacks.forEach((fn) => fn())
+}
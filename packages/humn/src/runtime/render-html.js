@@ -0,0 +1,158 @@
+import { getComponentInstance, setComponentInstance } from '../observer.js'
+import { renderComponent, runErrorHandlers } from './component-lifecycle.js'
+import {
+  FRAGMENT_ANCHOR,
+  isFragment,
+  isPortal,
+  SERVER_FALLBACK_END,
+  SERVER_FALLBACK_START,
+} from './dom-range.js'
+
+// Elements that never have a closing tag in HTML.
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+])
+
+const TEXT_SEPARATOR = '<!---->'
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;')
+}
+
+/**
+ * Walks a VNode tree and yields its HTML in document order.
+ * Components are rendered without an observer, so no Cortex subscriptions or
+ * onMount hooks are created; the output is a static snapshot of the tree.
+ */
+export function* renderVNodeToHtml(vNode) {
+  yield* renderNode(vNode, { lastWasText: false })
+}
+
+// `siblings` tracks the previous sibling so adjacent text VNodes can be split
+// with an empty comment; otherwise the browser merges them into one text node
+// and hydration could not map them back onto separate VNodes.
+// `component` is the closest component above the node, passed down explicitly
+// because a streamed render can be paused between chunks.
+function* renderNode(vNode, siblings, component = null) {
+  if (vNode === null || vNode === undefined || vNode === false) return
+
+  if (typeof vNode === 'string' || typeof vNode === 'number') {
+    if (siblings.lastWasText) yield TEXT_SEPARATOR
+    siblings.lastWasText = true
+    yield escapeHtml(vNode)
+    return
+  }
+
+  if (typeof vNode.tag === 'function') {
+    const instance = { parentInstance: component, provides: null }
+    const child = renderServerComponent(vNode, instance)
+
+    if (vNode.hooks?.errors.length)
+      yield* renderServerBoundary(vNode, child, siblings, instance)
+    else yield* renderNode(child, siblings, instance)
+    return
+  }
+
+  // Portal targets are outside the rendered markup; the client fills them in
+  // when it hydrates.
+  if (isPortal(vNode)) return
+
+  siblings.lastWasText = false
+
+  // Fragment children share the parent's siblings, so text that follows the
+  // fragment is still split from the fragment's last text child.
+  if (isFragment(vNode)) {
+    yield `<!--${FRAGMENT_ANCHOR}-->`
+    for (const child of vNode.children) {
+      yield* renderNode(child, siblings, component)
+    }
+    return
+  }
+
+  const tag = vNode.tag
+  yield `<${tag}${renderAttributes(vNode.props)}>`
+  if (VOID_ELEMENTS.has(tag)) return
+
+  const children = { lastWasText: false }
+  for (const child of vNode.children || []) {
+    yield* renderNode(child, children, component)
+  }
+  yield `</${tag}>`
+}
+
+// A boundary's children are rendered in full before any of their HTML is
+// yielded, so a child that throws can still be replaced by the fallback.
+// Streaming pauses at the boundary until its subtree is done.
+function* renderServerBoundary(vNode, child, siblings, instance) {
+  let html = ''
+
+  try {
+    for (const chunk of renderNode(child, siblings, instance)) html += chunk
+  } catch (error) {
+    // There is nothing to retry on the server; the client renders the
+    // children again when it hydrates.
+    const fallback = runErrorHandlers(vNode.hooks.errors, error, () => {})
+    siblings.lastWasText = false
+    yield `<!--${SERVER_FALLBACK_START}-->`
+    yield* renderNode(fallback, siblings, instance.parentInstance)
+    siblings.lastWasText = false
+    yield `<!--${SERVER_FALLBACK_END}-->`
+    return
+  }
+
+  yield html
+}
+
+// Server components only need enough of an instance for provide/inject and
+// useMemory.
+function renderServerComponent(vNode, instance) {
+  const previousComponent = getComponentInstance()
+  setComponentInstance(instance)
+
+  try {
+    return renderComponent(vNode, null)
+  } finally {
+    setComponentInstance(previousComponent)
+  }
+}
+
+function renderAttributes(props = {}) {
+  let attributes = ''
+
+  for (const key in props) {
+    const attribute = renderAttribute(key, props[key])
+    if (attribute) attributes += ` ${attribute}`
+  }
+
+  return attributes
+}
+
+// Mirrors patchProp so server markup matches what the client would create.
+function renderAttribute(key, value) {
+  if (value === undefined || value === null) return ''
+  if (key.startsWith('on') || key === 'debounce' || key === 'ref') return ''
+
+  if (key === 'disabled') return value === true || value === 'true' ? key : ''
+  if (key === 'checked') return value ? key : ''
+
+  return `${key}="${escapeAttribute(value)}"`
+}
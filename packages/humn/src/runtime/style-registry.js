@@ -0,0 +1,17 @@
+const styleRules = new Map()
+
+export function hasStyleRule(hash) {
+  return styleRules.has(hash)
+}
+
+export function registerStyleRule(hash, rule) {
+  styleRules.set(hash, rule)
+}
+
+/**
+ * Returns every rule registered by css() so far, in registration order.
+ * The server renderer uses this because there is no <style> element to read.
+ */
+export function getStyleSheetText() {
+  return Array.from(styleRules.values()).join('')
+}
@@ -0,0 +1,164 @@
+/**
+ * @file A small validator DSL for Cortex memory. Its validators implement
+ * Standard Schema (https://standardschema.dev), so they can be used in place
+ * of, or mixed with, validators from libraries such as Zod or Valibot.
+ * @module schema
+ */
+import { isPlainObject } from './plain-objects.js'
+
+/**
+ * @typedef {object} SchemaIssue
+ * @property {string} message
+ * @property {ReadonlyArray<PropertyKey | { key: PropertyKey }>} [path]
+ */
+
+/**
+ * @template T
+ * @typedef {{ value: T, issues?: undefined } | { issues: ReadonlyArray<SchemaIssue> }} SchemaResult
+ */
+
+/**
+ * Any validator that follows the Standard Schema interface.
+ * @template [T=unknown]
+ * @typedef {{ '~standard': { version: 1, vendor: string, validate: (value: unknown) => SchemaResult<T> | Promise<SchemaResult<T>> } }} StandardSchema
+ */
+
+// Built-in validators check nested values directly, collecting issues with
+// their full path, rather than going through `~standard` at every level.
+const CHECK = Symbol('humn.schemaCheck')
+
+function createSchema(check) {
+  return {
+    [CHECK]: check,
+    '~standard': {
+      version: /** @type {const} */ (1),
+      vendor: 'humn',
+      validate: (value) => {
+        const issues = []
+        check(value, [], issues)
+        return issues.length > 0 ? { issues } : { value }
+      },
+    },
+  }
+}
+
+/**
+ * Validates a value against any synchronous Standard Schema.
+ * @param {StandardSchema} schema
+ * @param {unknown} value
+ * @returns {{ message: string, path: PropertyKey[] }[]} The problems found,
+ *   each with the path of the offending value
+ */
+export function validateSchema(schema, value) {
+  return collectIssues(schema, value, [], [])
+}
+
+function collectIssues(schema, value, path, issues) {
+  if (schema[CHECK]) {
+    schema[CHECK](value, path, issues)
+    return issues
+  }
+
+  const result = schema['~standard'].validate(value)
+  if (result instanceof Promise)
+    throw new Error('Humn: Cortex schemas must validate synchronously.')
+
+  result.issues?.forEach((issue) => {
+    const issuePath = (issue.path || []).map((segment) =>
+      typeof segment === 'object' ? segment.key : segment,
+    )
+    issues.push({ message: issue.message, path: [...path, ...issuePath] })
+  })
+
+  return issues
+}
+
+function createTypeSchema(type, message) {
+  return createSchema((value, path, issues) => {
+    if (typeof value !== type) issues.push({ message, path })
+  })
+}
+
+/**
+ * Builders for validators, e.g.
+ * `schema.object({ theme: schema.oneOf('light', 'dark') })`.
+ */
+export const schema = {
+  /** @returns {StandardSchema<string>} */
+  string: () => createTypeSchema('string', 'Expected a string'),
+
+  /** @returns {StandardSchema<number>} */
+  number: () => createTypeSchema('number', 'Expected a number'),
+
+  /** @returns {StandardSchema<boolean>} */
+  boolean: () => createTypeSchema('boolean', 'Expected a boolean'),
+
+  /**
+   * Accepts only the given values.
+   * @template {string | number | boolean | null} T
+   * @param {...T} values
+   * @returns {StandardSchema<T>}
+   */
+  oneOf: (...values) =>
+    createSchema((value, path, issues) => {
+      if (values.includes(/** @type {any} */ (value))) return
+
+      const expected = values.map((option) => JSON.stringify(option))
+      issues.push({ message: `Expected one of ${expected.join(', ')}`, path })
+    }),
+
+  /**
+   * @template T
+   * @param {StandardSchema<T>} item - Validates each element
+   * @returns {StandardSchema<T[]>}
+   */
+  array: (item) =>
+    createSchema((value, path, issues) => {
+      if (!Array.isArray(value)) {
+        issues.push({ message: 'Expected an array', path })
+        return
+      }
+
+      value.forEach((element, index) =>
+        collectIssues(item, element, [...path, index], issues),
+      )
+    }),
+
+  /**
+   * Validates the listed properties. Other properties are allowed.
+   * @template {Record<string, StandardSchema<any>>} S
+   * @param {S} shape
+   * @returns {StandardSchema<{ [K in keyof S]: S[K] extends StandardSchema<infer T> ? T : never }>}
+   */
+  object: (shape) =>
+    createSchema((value, path, issues) => {
+      if (!isPlainObject(value)) {
+        issues.push({ message: 'Expected an object', path })
+        return
+      }
+
+      Object.keys(shape).forEach((key) =>
+        collectIssues(shape[key], value[key], [...path, key], issues),
+      )
+    }),
+
+  /**
+   * @template T
+   * @param {StandardSchema<T>} inner
+   * @returns {StandardSchema<T | null>}
+   */
+  nullable: (inner) =>
+    createSchema((value, path, issues) => {
+      if (value !== null) collectIssues(inner, value, path, issues)
+    }),
+
+  /**
+   * @template T
+   * @param {StandardSchema<T>} inner
+   * @returns {StandardSchema<T | undefined>}
+   */
+  optional: (inner) =>
+    createSchema((value, path, issues) => {
+      if (value !== undefined) collectIssues(inner, value, path, issues)
+    }),
+}
@@ -0,0 +1,57 @@
+/**
+ * @file JSON encoding that keeps Dates, Maps and Sets intact.
+ * @module serialization
+ */
+
+const TYPE_KEY = '__humn_type'
+
+function encodeValue(value) {
+  if (value instanceof Date)
+    return { [TYPE_KEY]: 'Date', value: value.getTime() }
+  if (value instanceof Map)
+    return { [TYPE_KEY]: 'Map', value: Array.from(value.entries()) }
+  if (value instanceof Set)
+    return { [TYPE_KEY]: 'Set', value: Array.from(value) }
+
+  return value
+}
+
+function decodeValue(value) {
+  switch (value[TYPE_KEY]) {
+    case 'Date':
+      return new Date(value.value ?? NaN)
+    case 'Map':
+      return new Map(value.value)
+    case 'Set':
+      return new Set(value.value)
+    default:
+      return value
+  }
+}
+
+/**
+ * Serializes a value to JSON, tagging Dates, Maps and Sets so that
+ * parseState() can rebuild them.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function stringifyState(value) {
+  // `this[key]` is the raw value; the second argument has already been
+  // through Date#toJSON, which would lose the Date type.
+  return JSON.stringify(value, function (key) {
+    return encodeValue(this[key])
+  })
+}
+
+/**
+ * Parses JSON produced by stringifyState(), restoring tagged values.
+ * @param {string} text
+ * @returns {unknown}
+ */
+export function parseState(text) {
+  return JSON.parse(text, (_key, value) =>
+    value && typeof value === 'object' && TYPE_KEY in value
+      ? decodeValue(value)
+      : value,
+  )
+}
@@ -0,0 +1,61 @@
+/**
+ * @file Transfers Cortex memory from the server to the client.
+ * @module state-transfer
+ */
+import { parseState, stringifyState } from './serialization.js'
+
+const DEFAULT_SCRIPT_ID = '__HUMN_STATE__'
+
+/**
+ * @typedef {object} StateTransferOptions
+ * @property {string} [id] - The id of the inline script element.
+ */
+
+// Escaping `<` stops a value such as "</script>" from closing the tag early.
+function escapeScriptContent(json) {
+  return json
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+/**
+ * Serializes the memory of several cortexes into an inline JSON script tag
+ * that can be embedded in server-rendered HTML.
+ * @param {Record<string, import('./cortex.js').Cortex<any, any>>} cortexes
+ * @param {StateTransferOptions} [options]
+ * @returns {string}
+ */
+export const serializeCortexes = (cortexes, options = {}) => {
+  const id = options.id || DEFAULT_SCRIPT_ID
+  const snapshots = {}
+
+  Object.entries(cortexes).forEach(([name, cortex]) => {
+    snapshots[name] = cortex.snapshot()
+  })
+
+  const json = escapeScriptContent(stringifyState(snapshots))
+  return `<script type="application/json" id="${id}">${json}</script>`
+}
+
+/**
+ * Restores cortexes from the script tag written by serializeCortexes().
+ * Call it before mount() or hydrate() so the first client render matches
+ * the server.
+ * @param {Record<string, import('./cortex.js').Cortex<any, any>>} cortexes
+ * @param {StateTransferOptions} [options]
+ * @returns {boolean} Whether a serialized state script was found.
+ */
+export const restoreCortexes = (cortexes, options = {}) => {
+  const id = options.id || DEFAULT_SCRIPT_ID
+  const script = document.getElementById(id)
+  if (!script) return false
+
+  const snapshots = parseState(script.textContent)
+
+  Object.entries(cortexes).forEach(([name, cortex]) => {
+    if (snapshots[name]) cortex.restore(snapshots[name])
+  })
+
+  return true
+}
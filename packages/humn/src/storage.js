@@ -0,0 +1,113 @@
+/**
+ * @file Storage adapters for persist().
+ * @module storage
+ */
+
+/**
+ * Where persisted values are kept. `localStorage` and `sessionStorage`
+ * already match this shape; adapters may also return promises.
+ * @typedef {object} StorageAdapter
+ * @property {(key: string) => string | null | Promise<string | null>} getItem
+ * @property {(key: string, value: string) => void | Promise<void>} setItem
+ * @property {(key: string) => void | Promise<void>} removeItem
+ */
+
+/**
+ * Creates a storage adapter that keeps values in memory, for tests and for
+ * environments without Web Storage.
+ * @param {Record<string, string>} [entries] - Values to start with
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage(entries = {}) {
+  const items = new Map(Object.entries(entries))
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value))
+    },
+    removeItem: (key) => {
+      items.delete(key)
+    },
+  }
+}
+
+/**
+ * @typedef {object} IndexedDBStorageOptions
+ * @property {string} [name] - The database name. Defaults to `humn`.
+ * @property {string} [storeName] - The object store name. Defaults to `memory`.
+ */
+
+/**
+ * Creates an async storage adapter backed by IndexedDB, for values too large
+ * for localStorage. Cortex keys using it start with their initial value and
+ * are filled in once `cortex.persistence.ready` resolves.
+ * @param {IndexedDBStorageOptions} [options]
+ * @returns {StorageAdapter}
+ */
+export function createIndexedDBStorage({
+  name = 'humn',
+  storeName = 'memory',
+} = {}) {
+  let database = null
+
+  const requestDatabase = (version) =>
+    new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version)
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName))
+          request.result.createObjectStore(storeName)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+  // Stores can only be created while a database upgrades. When another
+  // adapter created the database without this store, it is reopened at the
+  // next version to add it.
+  const connect = async (version) => {
+    const db = await requestDatabase(version)
+
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.close()
+      return connect(db.version + 1)
+    }
+
+    // Step aside when another adapter upgrades the database to add its store;
+    // the next request reopens it.
+    db.onversionchange = () => {
+      db.close()
+      database = null
+    }
+    return db
+  }
+
+  // Opened on first use, so creating the adapter is safe during server
+  // rendering.
+  const openDatabase = () => {
+    database ??= connect()
+    return database
+  }
+
+  const runRequest = async (mode, createRequest) => {
+    const db = await openDatabase()
+
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(storeName, mode).objectStore(storeName)
+      const request = createRequest(store)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  return {
+    getItem: async (key) =>
+      (await runRequest('readonly', (store) => store.get(key))) ?? null,
+    setItem: async (key, value) => {
+      await runRequest('readwrite', (store) => store.put(value, key))
+    },
+    removeItem: async (key) => {
+      await runRequest('readwrite', (store) => store.delete(key))
+    },
+  }
+}
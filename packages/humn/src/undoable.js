@@ -0,0 +1,27 @@
+/**
+ * Represents a value wrapped by the undoable() function.
+ * @template T
+ * @typedef {object} Undoable
+ * @property {T | import('./persist.js').Persisted<T>} initial
+ * @property {boolean} __humn_undoable
+ * @property {UndoableConfig} [config]
+ */
+
+/**
+ * @typedef {object} UndoableConfig
+ * @property {number} [limit] - The most undo steps to keep. Defaults to 100.
+ */
+
+/**
+ * Marks a section of the state for undo/redo through `cortex.history`.
+ * Wrap a persisted value to use both: `undoable(persist([]))`.
+ * @template T
+ * @param {T | import('./persist.js').Persisted<T>} initial
+ * @param {UndoableConfig} [config]
+ * @returns {Undoable<T>}
+ */
+export const undoable = (initial, config = {}) => ({
+  __humn_undoable: true,
+  initial,
+  config,
+})
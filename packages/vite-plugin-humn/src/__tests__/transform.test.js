@@ -3,7 +3,7 @@ import { describe, expect, it } from 'vitest'
 import humn from '../index.js'
 
 describe('Humn Vite transform', () => {
-  it('wraps top-level mapped templates in a root vnode', () => {
+  it('wraps top-level mapped templates in a fragment', () => {
     const plugin = humn()
     const source = `
       <script>
@@ -20,7 +20,26 @@ describe('Humn Vite transform', () => {
 
     expect(result.code).toContain('const __templateNode = messages.map')
     expect(result.code).toContain('Array.isArray(__templateNode)')
-    expect(result.code).toContain("h('div', {}, __templateNode)")
+    expect(result.code).toContain('h(Fragment, {}, __templateNode)')
+  })
+
+  it('returns multiple root nodes as a fragment with scoped roots', () => {
+    const plugin = humn()
+    const source = `
+      <h1>Title</h1>
+      <p>Body</p>
+
+      <style>
+        p { color: red; }
+      </style>
+    `
+
+    const result = plugin.transform(source, '/virtual/article.humn')
+
+    expect(result.code).toContain('import { h, Fragment, css')
+    expect(result.code).toContain('const __vdom = h(Fragment, {}, [')
+    expect(result.code).toContain('`, true);')
+    expect(result.code).not.toContain("h('div'")
   })
 
   it('hoists static template subtrees outside the component function', () => {
@@ -34,19 +34,21 @@ export default function humn() {
         const escapedStyle = styleContent
           .replace(/`/g, '\\`')
           .replace(/\$\{/g, '\\${')
-        styleLogic = `const __styles = css(\`${escapedStyle}\`, ${hasSingleTemplateNode});`
+        // Every root element carries the scope class, so selectors must
+        // match the roots themselves as well as their descendants.
+        styleLogic = `const __styles = css(\`${escapedStyle}\`, true);`
       }
 
       const vdomAssignment = hasSingleTemplateNode
         ? `const __templateNode = ${renderNodes[0]};
            const __vdom = Array.isArray(__templateNode)
-             ? h('div', {}, __templateNode)
+             ? h(Fragment, {}, __templateNode)
              : __templateNode;`
-        : `const __vdom = h('div', {}, [${renderNodes.join(',')}]);`
+        : `const __vdom = h(Fragment, {}, [${renderNodes.join(',')}]);`
 
       return {
         code: `
-          ${`import { h${styleContent ? ', css' : ''}${staticHoists.length ? ', cloneVNode' : ''} } from 'humn';`}
+          ${`import { h, Fragment${styleContent ? ', css' : ''}${staticHoists.length ? ', cloneVNode' : ''} } from 'humn';`}
           ${userImports}
           ${staticHoists.join('\n')}
           ${styleLogic}
@@ -55,8 +57,12 @@ export default function humn() {
             ${componentLogic} 
             ${vdomAssignment}
             
-            if (typeof __styles !== 'undefined' && __vdom && __vdom.props) {
-               __vdom.props.class = (__vdom.props.class ? __vdom.props.class + ' ' : '') + __styles;
+            if (typeof __styles !== 'undefined' && __vdom) {
+               const __roots = __vdom.tag === Fragment ? __vdom.children : [__vdom];
+               __roots.forEach((__root) => {
+                 if (__root && __root.props)
+                   __root.props.class = (__root.props.class ? __root.props.class + ' ' : '') + __styles;
+               });
             }
 
             return __vdom;